@@ -0,0 +1,47 @@
+/** @format */
+/**
+ * External dependencies
+ */
+import { Component } from '@wordpress/element';
+import PropTypes from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import D3Tooltip from './tooltip';
+
+/**
+ * Holds the content of the chart tooltip, so that hovering the chart only re-renders the tooltip and not the whole
+ * chart. The chart updates it with `updateTooltip` through a ref.
+ */
+class D3ChartTooltip extends Component {
+	constructor( props ) {
+		super( props );
+		this.updateTooltip = this.updateTooltip.bind( this );
+		this.state = {
+			tooltip: null,
+		};
+	}
+
+	updateTooltip( tooltip ) {
+		this.setState( { tooltip } );
+	}
+
+	render() {
+		const { renderTooltip } = this.props;
+		const { tooltip } = this.state;
+		if ( ! tooltip ) {
+			return null;
+		}
+		return renderTooltip ? renderTooltip( tooltip ) : <D3Tooltip { ...tooltip } />;
+	}
+}
+
+D3ChartTooltip.propTypes = {
+	/**
+	 * Renders the content of the tooltip instead of `D3Tooltip`, as the `D3Chart` prop.
+	 */
+	renderTooltip: PropTypes.func,
+};
+
+export default D3ChartTooltip;
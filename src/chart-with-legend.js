@@ -0,0 +1,217 @@
+/** @format */
+/**
+ * External dependencies
+ */
+import classNames from 'classnames';
+import { Component } from '@wordpress/element';
+import { defaults, includes, without } from 'lodash';
+import PropTypes from 'prop-types';
+
+/**
+ * Internal dependencies
+ */
+import './chart-with-legend.scss';
+import D3Chart from './chart';
+import D3Legend from './legend';
+import { getOrderedKeys, getUniqueKeys, getWideData } from './utils';
+
+/**
+ * A chart with its legend, toggling the visibility of a category when its legend item is clicked and focusing it when
+ * hovered. At least one category is always visible.
+ */
+class D3ChartWithLegend extends Component {
+	constructor( props ) {
+		super( props );
+		this.handleHoverDate = this.handleHoverDate.bind( this );
+		this.handleLegendHover = this.handleLegendHover.bind( this );
+		this.handleLegendSelect = this.handleLegendSelect.bind( this );
+		this.handleLegendToggle = this.handleLegendToggle.bind( this );
+		this.state = {
+			focusedKey: null,
+			hiddenKeys: ( props.orderedKeys || [] ).filter( row => ! row.visible ).map( row => row.key ),
+			hoveredValues: null,
+		};
+	}
+
+	/**
+	 * The `orderedKeys` prop, or the keys ordered by total, with the legend's visibility and focus.
+	 */
+	getOrderedKeys() {
+		const { data, legendAggregate, orderedKeys } = this.props;
+		const { focusedKey, hiddenKeys } = this.state;
+		// `data` is read with the chart's default accessors, as `D3Chart` reads it.
+		const wideData = getWideData( data, defaults( {}, this.props, D3Chart.defaultProps ) );
+		const keys =
+			orderedKeys || getOrderedKeys( wideData, getUniqueKeys( wideData ), legendAggregate );
+		return keys.map( row => ( {
+			...row,
+			focus: focusedKey === null || focusedKey === row.key,
+			visible: ! includes( hiddenKeys, row.key ),
+		} ) );
+	}
+
+	handleHoverDate( date, values ) {
+		const { onHoverDate, showHoveredValues } = this.props;
+		showHoveredValues && this.setState( { hoveredValues: values } );
+		onHoverDate && onHoverDate( date, values );
+	}
+
+	handleLegendHover( event, key ) {
+		const isHovered = includes( [ 'focus', 'mouseenter' ], event.type );
+		this.setState( { focusedKey: isHovered ? key : null } );
+	}
+
+	handleLegendSelect( event, keys ) {
+		if ( ! keys.length ) {
+			return;
+		}
+		const hiddenKeys = this.getOrderedKeys()
+			.filter( row => ! includes( keys, row.key ) )
+			.map( row => row.key );
+		this.setState( { hiddenKeys, focusedKey: null } );
+	}
+
+	handleLegendToggle( event, key ) {
+		const { hiddenKeys } = this.state;
+		if ( includes( hiddenKeys, key ) ) {
+			this.setState( { hiddenKeys: without( hiddenKeys, key ) } );
+			return;
+		}
+		const visibleKeys = this.getOrderedKeys().filter( row => row.visible );
+		if ( visibleKeys.length > 1 ) {
+			this.setState( { hiddenKeys: [ ...hiddenKeys, key ], focusedKey: null } );
+		}
+	}
+
+	render() {
+		const {
+			className,
+			filterable,
+			filterLabel,
+			legendPosition,
+			legendValueFormat,
+			onlyLabel,
+			selectAllLabel,
+			selectNoneLabel,
+			showHoveredValues,
+			totalLabel,
+			...chartProps
+		} = this.props;
+		const orderedKeys = this.getOrderedKeys();
+		const legend = (
+			<D3Legend
+				className="d3-chart-with-legend__legend"
+				colorScheme={ chartProps.colorScheme }
+				data={ orderedKeys }
+				filterable={ filterable }
+				filterLabel={ filterLabel }
+				handleLegendHover={ this.handleLegendHover }
+				handleLegendSelect={ this.handleLegendSelect }
+				handleLegendToggle={ this.handleLegendToggle }
+				hoveredValues={ this.state.hoveredValues }
+				legendDirection={ legendPosition === 'beside' ? 'column' : 'row' }
+				legendValueFormat={ legendValueFormat }
+				onlyLabel={ onlyLabel }
+				selectAllLabel={ selectAllLabel }
+				selectNoneLabel={ selectNoneLabel }
+				totalLabel={ totalLabel }
+			/>
+		);
+
+		return (
+			<div
+				className={ classNames(
+					'd3-chart-with-legend',
+					`d3-chart-with-legend__position-${ legendPosition }`,
+					className
+				) }
+			>
+				{ legendPosition !== 'below' && legend }
+				<div className="d3-chart-with-legend__chart">
+					<D3Chart
+						{ ...chartProps }
+						onHoverDate={ this.handleHoverDate }
+						orderedKeys={ orderedKeys }
+					/>
+				</div>
+				{ legendPosition === 'below' && legend }
+			</div>
+		);
+	}
+}
+
+D3ChartWithLegend.propTypes = {
+	/**
+	 * Additional CSS classes.
+	 */
+	className: PropTypes.string,
+	/**
+	 * A chromatic color function shared by the chart and the legend.
+	 */
+	colorScheme: PropTypes.func,
+	/**
+	 * An array of data, as the `D3Chart` prop. The other props are passed down to `D3Chart`.
+	 */
+	data: PropTypes.array.isRequired,
+	/**
+	 * Shows a box filtering the legend items, as the `D3Legend` prop.
+	 */
+	filterable: PropTypes.bool,
+	/**
+	 * Placeholder and label of the legend's filter box, as the `D3Legend` prop.
+	 */
+	filterLabel: PropTypes.string,
+	/**
+	 * How the values of each category are aggregated into the totals ordering the categories and shown in the
+	 * legend, as the `D3Chart` prop.
+	 */
+	legendAggregate: PropTypes.oneOfType( [
+		PropTypes.oneOf( [ 'average', 'last', 'max', 'min', 'sum' ] ),
+		PropTypes.func,
+	] ),
+	/**
+	 * Where to render the legend: `above`, `below` or `beside` the chart.
+	 */
+	legendPosition: PropTypes.oneOf( [ 'above', 'below', 'beside' ] ),
+	/**
+	 * A number formatting string or function to format the totals displayed in the legend.
+	 */
+	legendValueFormat: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * Called with the date hovered in the chart and the value of each category at that date, as the `D3Chart`
+	 * prop.
+	 */
+	onHoverDate: PropTypes.func,
+	/**
+	 * Text of the legend's action showing a single item, as the `D3Legend` prop.
+	 */
+	onlyLabel: PropTypes.string,
+	/**
+	 * The initial order and visibility of the categories, ordered by total and all visible by default.
+	 */
+	orderedKeys: PropTypes.array,
+	/**
+	 * Text of the legend's control showing all the items, as the `D3Legend` prop.
+	 */
+	selectAllLabel: PropTypes.string,
+	/**
+	 * Text of the legend's control hiding all the items but one, as the `D3Legend` prop.
+	 */
+	selectNoneLabel: PropTypes.string,
+	/**
+	 * Shows the values of the date hovered in the chart in the legend instead of the totals.
+	 */
+	showHoveredValues: PropTypes.bool,
+	/**
+	 * Label to describe the legend items, as the `D3Legend` prop.
+	 */
+	totalLabel: PropTypes.string,
+};
+
+D3ChartWithLegend.defaultProps = {
+	legendPosition: 'above',
+	legendValueFormat: ',',
+	showHoveredValues: false,
+};
+
+export default D3ChartWithLegend;
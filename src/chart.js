@@ -3,11 +3,11 @@
 /**
  * External dependencies
  */
-import { isEmpty, isEqual } from 'lodash';
-import React, { Component, createRef } from '@wordpress/element';
+import { includes, isEmpty, isEqual, isNil, pick, uniqueId } from 'lodash';
+import React, { Component, createRef, Fragment } from '@wordpress/element';
 import PropTypes from 'prop-types';
 import classNames from 'classnames';
-import { timeFormat as d3TimeFormat, utcParse as d3UTCParse } from 'd3-time-format';
+import { easeCubicInOut as d3EaseCubicInOut } from 'd3-ease';
 import { select as d3Select } from 'd3-selection';
 
 /**
@@ -15,26 +15,71 @@ import { select as d3Select } from 'd3-selection';
  */
 import './style.scss';
 import D3Base from './d3-base';
+import D3ChartTooltip from './chart-tooltip';
+import D3DataTable from './data-table';
 import {
+	getChartSummary,
+	getDataTable,
 	drawAxis,
 	drawBars,
+	drawBrush,
 	drawLines,
+	getArea,
+	getComparisonData,
+	getComparisonOrderedKeys,
 	getDateSpaces,
 	getOrderedKeys,
 	getLine,
 	getLineData,
+	getStackedLineData,
 	getXTicks,
 	getUniqueKeys,
 	getUniqueDates,
+	getWideData,
 	getXScale,
 	getXGroupScale,
 	getXLineScale,
-	getYMax,
+	getXFormatter,
+	getXParser,
+	getYDomain,
 	getYScale,
 	getYTickOffset,
+	getZoomedData,
 	getFormatter,
+	isLineType,
+	isStackedType,
+	removeBrush,
+	selectOrAppend,
+	showHoveredDate,
 } from './utils';
 
+// The props the summary and the data table are computed from, besides `data` and `previousData`.
+const accessibleDataProps = [
+	'dataFormat',
+	'dateParser',
+	'labelAccessor',
+	'legendAggregate',
+	'missingData',
+	'mode',
+	'noDataLabel',
+	'orderedKeys',
+	'previousLabel',
+	'seriesAccessor',
+	'summaryDatesFormat',
+	'summaryKeyFormat',
+	'tooltipLabelFormat',
+	'tooltipValueFormat',
+	'utc',
+	'valueAccessor',
+	'xAccessor',
+	'xKey',
+	'xType',
+	'y2Format',
+	'y2Keys',
+];
+
+const summaryTrends = { up: 'trending up', down: 'trending down', flat: 'flat' };
+
 /**
  * A simple D3 line and bar chart component for timeseries data in React.
  */
@@ -43,22 +88,44 @@ class D3Chart extends Component {
 		super( props );
 		this.drawChart = this.drawChart.bind( this );
 		this.getAllData = this.getAllData.bind( this );
+		this.getChartData = this.getChartData.bind( this );
+		this.getChartOrderedKeys = this.getChartOrderedKeys.bind( this );
 		this.getParams = this.getParams.bind( this );
+		this.handleHoverDate = this.handleHoverDate.bind( this );
+		this.handleZoom = this.handleZoom.bind( this );
+		this.resetZoom = this.resetZoom.bind( this );
+		this.toggleDataTable = this.toggleDataTable.bind( this );
+		this.updateTooltip = this.updateTooltip.bind( this );
 		this.state = {
 			allData: this.getAllData( props ),
+			dataTableVisible: false,
 			type: props.type,
 			width: props.width,
+			zoom: null,
 		};
 		this.tooltipRef = createRef();
+		this.tooltipContentRef = createRef();
+		this.chartId = uniqueId( 'd3-chart-' );
 	}
 
 	componentDidUpdate( prevProps, prevState ) {
-		const { type, width } = this.props;
+		const { data, hoveredDate, type, width } = this.props;
+		if (
+			hoveredDate !== prevProps.hoveredDate &&
+			hoveredDate !== this.ownHoveredDate &&
+			this.drawnChart
+		) {
+			const { node, chartData, params } = this.drawnChart;
+			showHoveredDate( node, chartData, params, hoveredDate );
+		}
 		/* eslint-disable react/no-did-update-set-state */
 		if ( width !== prevProps.width ) {
 			this.setState( { width } );
 		}
-		const nextAllData = this.getAllData( this.props );
+		if ( this.state.zoom && ! isEqual( data, prevProps.data ) ) {
+			this.setState( { zoom: null } );
+		}
+		const nextAllData = this.getAllData( this.props, this.state.zoom );
 		if ( ! isEqual( [ ...nextAllData ].sort(), [ ...prevState.allData ].sort() ) ) {
 			this.setState( { allData: nextAllData } );
 		}
@@ -68,18 +135,84 @@ class D3Chart extends Component {
 		/* eslint-enable react/no-did-update-set-state */
 	}
 
-	getAllData( props ) {
-		const orderedKeys =
-			props.orderedKeys || getOrderedKeys( props.data, getUniqueKeys( props.data ) );
-		return [ ...props.data, ...orderedKeys ];
+	componentWillUnmount() {
+		this.drawnChart && removeBrush( this.drawnChart.node );
+	}
+
+	getAllData( props, zoom = null ) {
+		return [ ...this.getChartData( props, zoom ), ...this.getChartOrderedKeys( props ) ];
+	}
+
+	/**
+	 * In `time-comparison` mode with `previousData`, both periods are aligned by index on the dates of `data`.
+	 * When zoomed, only the dates within the zoomed range are kept.
+	 */
+	getChartData( props, zoom = null ) {
+		const { dateParser, mode, previousLabel, utc, xType } = props;
+		const data = getWideData( props.data, props );
+		const previousData = props.previousData && getWideData( props.previousData, props );
+		const chartData =
+			mode === 'time-comparison' && previousData
+				? getComparisonData( data, previousData, previousLabel )
+				: data;
+		return getZoomedData( chartData, zoom, getXParser( dateParser, utc, xType ), xType );
+	}
+
+	/**
+	 * In `time-comparison` mode with `previousData`, each key is followed by its key in the previous period.
+	 */
+	getChartOrderedKeys( props ) {
+		const { legendAggregate, mode, orderedKeys, previousLabel } = props;
+		const data = getWideData( props.data, props );
+		const previousData = props.previousData && getWideData( props.previousData, props );
+		const newOrderedKeys =
+			orderedKeys || getOrderedKeys( data, getUniqueKeys( data ), legendAggregate );
+		return mode === 'time-comparison' && previousData
+			? getComparisonOrderedKeys( newOrderedKeys, previousData, previousLabel, legendAggregate )
+			: newOrderedKeys;
+	}
+
+	/**
+	 * The date hovered in this chart is kept so that it is not shown again when it comes back as `hoveredDate`, which
+	 * would move the tooltip away from the mouse and drop its highlighted row.
+	 */
+	handleHoverDate( date, values ) {
+		const { onHoverDate } = this.props;
+		this.ownHoveredDate = date;
+		onHoverDate && onHoverDate( date, values );
+	}
+
+	handleZoom( startDate, endDate ) {
+		const { onZoom } = this.props;
+		this.setState( { zoom: [ startDate, endDate ] } );
+		onZoom && onZoom( startDate, endDate );
+	}
+
+	resetZoom() {
+		const { onZoom } = this.props;
+		if ( ! this.state.zoom ) {
+			return;
+		}
+		this.setState( { zoom: null } );
+		onZoom && onZoom( null, null );
+	}
+
+	toggleDataTable() {
+		this.setState( { dataTableVisible: ! this.state.dataTableVisible } );
+	}
+
+	updateTooltip( tooltip ) {
+		this.tooltipContentRef.current && this.tooltipContentRef.current.updateTooltip( tooltip );
 	}
 
 	drawChart( node, params ) {
-		const { data, margin, type } = this.props;
-		const g = node
-			.attr( 'id', 'chart' )
-			.append( 'g' )
-			.attr( 'transform', `translate(${ margin.left },${ margin.top })` );
+		const { hoveredDate, margin, type, zoomable } = this.props;
+		const data = this.getChartData( this.props, this.state.zoom );
+		d3Select( node.node().parentNode ).attr( 'aria-describedby', `${ this.chartId }-summary` );
+		const g = selectOrAppend( node.attr( 'id', this.chartId ), 'g', 'd3-chart__plot' ).attr(
+			'transform',
+			`translate(${ margin.left },${ margin.top })`
+		);
 
 		const adjParams = Object.assign( {}, params, {
 			height: params.height - margin.top - margin.bottom,
@@ -87,8 +220,13 @@ class D3Chart extends Component {
 			tooltip: d3Select( this.tooltipRef.current ),
 		} );
 		drawAxis( g, adjParams );
-		type === 'line' && drawLines( g, data, adjParams );
-		type === 'bar' && drawBars( g, data, adjParams );
+		isLineType( type ) ? drawLines( g, data, adjParams ) : drawBars( g, data, adjParams );
+		zoomable ? drawBrush( g, adjParams ) : removeBrush( g );
+		! isNil( hoveredDate ) &&
+			hoveredDate !== this.ownHoveredDate &&
+			showHoveredDate( g, data, adjParams, hoveredDate );
+		// Kept to show the `hoveredDate` of other charts without redrawing.
+		this.drawnChart = { node: g, chartData: data, params: adjParams };
 
 		return node;
 	}
@@ -96,87 +234,244 @@ class D3Chart extends Component {
 	getParams( node ) {
 		const {
 			colorScheme,
-			data,
+			curve,
 			dateParser,
+			duration,
+			easing,
 			height,
 			interval,
 			margin,
+			missingData,
 			mode,
-			orderedKeys,
+			noDataLabel,
+			onBarClick,
+			onDateClick,
+			onHoverDate,
+			onPointClick,
 			tooltipPosition,
 			tooltipLabelFormat,
+			tooltipMaxRows,
+			tooltipOtherLabel,
+			tooltipSort,
+			tooltipTotalLabel,
 			tooltipValueFormat,
 			tooltipTitle,
 			type,
+			utc,
 			xFormat,
 			x2Format,
+			xType,
+			yDomain,
 			yFormat,
+			yNice,
+			yScaleType,
+			yTickCount,
+			y2Format,
+			y2Keys,
 		} = this.props;
 		const { width } = this.state;
 		const calculatedWidth = width && width > 0 ? width : node.offsetWidth;
 		const calculatedHeight = height || node.offsetHeight;
 		const adjHeight = calculatedHeight - margin.top - margin.bottom;
 		const adjWidth = calculatedWidth - margin.left - margin.right;
+		const data = this.getChartData( this.props, this.state.zoom );
 		const uniqueKeys = getUniqueKeys( data );
-		const newOrderedKeys = orderedKeys || getOrderedKeys( data, uniqueKeys );
-		const lineData = getLineData( data, newOrderedKeys );
-		const yMax = getYMax( lineData );
-		const yScale = getYScale( adjHeight, yMax );
-		const parseDate = d3UTCParse( dateParser );
-		const uniqueDates = getUniqueDates( lineData, parseDate );
-		const xLineScale = getXLineScale( uniqueDates, adjWidth );
+		const newOrderedKeys = this.getChartOrderedKeys( this.props );
+		const lineData = isStackedType( type )
+			? getStackedLineData( getLineData( data, newOrderedKeys, missingData ), y2Keys )
+			: getLineData( data, newOrderedKeys, missingData );
+		const yLineData = lineData.filter( d => ! includes( y2Keys, d.key ) );
+		const y2LineData = lineData.filter( d => includes( y2Keys, d.key ) );
+		const [ yMin, yMax ] = getYDomain( yLineData, yDomain, yTickCount, yNice, yScaleType );
+		const yScale = getYScale( adjHeight, yMax, yMin, yScaleType );
+		const hasY2 = y2LineData.length > 0;
+		const [ y2Min, y2Max ] = hasY2
+			? getYDomain( y2LineData, [], yTickCount, yNice, yScaleType )
+			: [];
+		const y2Scale = hasY2 ? getYScale( adjHeight, y2Max, y2Min, yScaleType ) : null;
+		const parseDate = getXParser( dateParser, utc, xType );
+		const uniqueDates = getUniqueDates( lineData, parseDate, xType );
+		const xLineScale = getXLineScale( uniqueDates, adjWidth, parseDate, utc, xType );
 		const xScale = getXScale( uniqueDates, adjWidth );
-		const xTicks = getXTicks( uniqueDates, adjWidth, mode, interval );
+		const xTicks = getXTicks( uniqueDates, adjWidth, mode, interval, parseDate, utc, xType );
 		return {
+			area: getArea( xLineScale, yScale, curve, parseDate ),
 			colorScheme,
-			dateSpaces: getDateSpaces( data, uniqueDates, adjWidth, xLineScale ),
+			dateSpaces: getDateSpaces( data, uniqueDates, adjWidth, xLineScale, parseDate ),
+			duration,
+			easing,
 			height: calculatedHeight,
-			line: getLine( xLineScale, yScale ),
+			line: getLine( xLineScale, yScale, curve, parseDate ),
 			lineData,
 			margin,
+			missingData,
 			mode,
+			noDataLabel,
+			onBarClick,
+			onDateClick,
+			onHoverDate: onHoverDate && this.handleHoverDate,
+			onPointClick,
+			onZoom: this.handleZoom,
+			onZoomReset: this.resetZoom,
 			orderedKeys: newOrderedKeys,
 			parseDate,
 			tooltipPosition,
-			tooltipLabelFormat: getFormatter( tooltipLabelFormat, d3TimeFormat ),
+			tooltipLabelFormat: getXFormatter( tooltipLabelFormat, utc, xType ),
+			tooltipMaxRows,
+			tooltipOtherLabel,
+			tooltipSort,
+			tooltipTotalLabel,
 			tooltipValueFormat: getFormatter( tooltipValueFormat ),
 			tooltipTitle,
 			type,
 			uniqueDates,
 			uniqueKeys,
+			updateTooltip: this.updateTooltip,
 			width: calculatedWidth,
-			xFormat: getFormatter( xFormat, d3TimeFormat ),
-			x2Format: getFormatter( x2Format, d3TimeFormat ),
-			xGroupScale: getXGroupScale( orderedKeys, xScale ),
+			xFormat: getXFormatter( xFormat, utc, xType ),
+			x2Format: getXFormatter( x2Format, utc, xType ),
+			xGroupScale: getXGroupScale( newOrderedKeys, xScale ),
 			xLineScale,
 			xTicks,
 			xScale,
+			xType,
 			yMax,
+			yMin,
+			yNice,
 			yScale,
-			yTickOffset: getYTickOffset( adjHeight, yMax ),
+			yScaleType,
+			yTickCount,
+			yTickOffset: getYTickOffset( adjHeight, yMax, yMin, yScaleType ),
 			yFormat: getFormatter( yFormat ),
+			y2Area: hasY2 ? getArea( xLineScale, y2Scale, curve, parseDate ) : null,
+			y2Format: getFormatter( y2Format ),
+			y2Keys,
+			y2Line: hasY2 ? getLine( xLineScale, y2Scale, curve, parseDate ) : null,
+			y2Max,
+			y2Min,
+			y2Scale,
+			y2TickOffset: hasY2 ? getYTickOffset( adjHeight, y2Max, y2Min, yScaleType ) : null,
+		};
+	}
+
+	/**
+	 * The chart data as formatted in the tooltip, for the summary and the data table read by screen readers. It is
+	 * kept until the data, the categories or their formats change, rather than computed again on every render.
+	 */
+	getAccessibleData() {
+		const { data, previousData } = this.props;
+		const inputs = { ...pick( this.props, accessibleDataProps ), zoom: this.state.zoom };
+		const cache = this.accessibleDataCache;
+		if (
+			cache &&
+			cache.data === data &&
+			cache.previousData === previousData &&
+			isEqual( cache.inputs, inputs )
+		) {
+			return cache.accessibleData;
+		}
+		this.accessibleDataCache = {
+			data,
+			previousData,
+			inputs,
+			accessibleData: this.computeAccessibleData(),
 		};
+		return this.accessibleDataCache.accessibleData;
+	}
+
+	computeAccessibleData() {
+		const {
+			dateParser,
+			missingData,
+			noDataLabel,
+			summaryDatesFormat,
+			summaryKeyFormat,
+			tooltipLabelFormat,
+			tooltipValueFormat,
+			utc,
+			xType,
+			y2Format,
+			y2Keys,
+		} = this.props;
+		const lineData = getLineData(
+			this.getChartData( this.props, this.state.zoom ),
+			this.getChartOrderedKeys( this.props ),
+			missingData
+		);
+		const params = {
+			noDataLabel,
+			parseDate: getXParser( dateParser, utc, xType ),
+			summaryDatesFormat,
+			summaryKeyFormat,
+			tooltipLabelFormat: getXFormatter( tooltipLabelFormat, utc, xType ),
+			tooltipValueFormat: getFormatter( tooltipValueFormat ),
+			y2Format: getFormatter( y2Format ),
+			y2Keys,
+		};
+		return {
+			summary: getChartSummary( lineData, params ),
+			table: getDataTable( lineData, params ),
+		};
+	}
+
+	renderDataTable( table ) {
+		const { dataTableToggle, hideDataTableLabel, showDataTableLabel } = this.props;
+		const { dataTableVisible } = this.state;
+		return (
+			<div className="d3-chart__data-table">
+				{ dataTableToggle && (
+					<button
+						type="button"
+						className="d3-chart__data-table-toggle"
+						aria-expanded={ dataTableVisible }
+						onClick={ this.toggleDataTable }
+					>
+						{ dataTableVisible ? hideDataTableLabel : showDataTableLabel }
+					</button>
+				) }
+				<div className={ classNames( { 'd3-chart__screen-reader-text': ! dataTableVisible } ) }>
+					<D3DataTable { ...table } />
+				</div>
+			</div>
+		);
 	}
 
 	render() {
 		if ( isEmpty( this.props.data ) ) {
 			return null; // TODO: improve messaging
 		}
+		const { summary, table } = this.getAccessibleData();
 		return (
-			<div
-				className={ classNames( 'd3-chart__container', this.props.className ) }
-				style={ { height: this.props.height } }
-			>
-				<D3Base
-					className={ classNames( this.props.className ) }
-					data={ this.state.allData }
-					drawChart={ this.drawChart }
-					getParams={ this.getParams }
-					type={ this.state.type }
-					width={ this.state.width }
-				/>
-				<div className="d3-chart__tooltip" ref={ this.tooltipRef } />
-			</div>
+			<Fragment>
+				<div
+					className={ classNames( 'd3-chart__container', this.props.className ) }
+					style={ { height: this.props.height } }
+				>
+					<D3Base
+						className={ classNames( this.props.className ) }
+						data={ this.state.allData }
+						drawChart={ this.drawChart }
+						getParams={ this.getParams }
+						type={ this.state.type }
+						width={ this.state.width }
+					/>
+					<div className="d3-chart__tooltip" ref={ this.tooltipRef }>
+						<D3ChartTooltip
+							ref={ this.tooltipContentRef }
+							renderTooltip={ this.props.renderTooltip }
+						/>
+					</div>
+					{ this.state.zoom && (
+						<button type="button" className="d3-chart__zoom-reset" onClick={ this.resetZoom }>
+							{ this.props.resetZoomLabel }
+						</button>
+					) }
+					<p id={ `${ this.chartId }-summary` } className="d3-chart__screen-reader-text">
+						{ this.props.summary || summary }
+					</p>
+				</div>
+				{ this.renderDataTable( table ) }
+			</Fragment>
 		);
 	}
 }
@@ -190,22 +485,72 @@ D3Chart.propTypes = {
 	 * A chromatic color function to be passed down to d3.
 	 */
 	colorScheme: PropTypes.func,
+	/**
+	 * The curve interpolating between the points of line and area charts. The step curves suit values that
+	 * change at a point in time, like inventory levels or prices.
+	 */
+	curve: PropTypes.oneOf( [ 'basis', 'linear', 'monotoneX', 'step', 'stepAfter', 'stepBefore' ] ),
 	/**
 	 * An array of data.
 	 */
 	data: PropTypes.array.isRequired,
+	/**
+	 * The shape of `data` and `previousData`: `wide`, one item per date with a `{ value }` per key, or `long`,
+	 * one item per date and key such as `{ date, series, value }`, read with the accessor props.
+	 */
+	dataFormat: PropTypes.oneOf( [ 'long', 'wide' ] ),
+	/**
+	 * Shows a button toggling the visibility of the data table, otherwise only read by screen readers.
+	 */
+	dataTableToggle: PropTypes.bool,
 	/**
 	 * Format to parse dates into d3 time format
 	 */
 	dateParser: PropTypes.string.isRequired,
+	/**
+	 * Duration in milliseconds of the transitions between datasets, types and visibility changes. `0` updates the
+	 * chart without animating it.
+	 */
+	duration: PropTypes.number,
+	/**
+	 * An easing function of the transitions, such as the ones of `d3-ease`.
+	 */
+	easing: PropTypes.func,
 	/**
 	 * Relative viewpoirt height of the `svg`.
 	 */
 	height: PropTypes.number,
+	/**
+	 * Text of the button hiding the data table of a chart with `dataTableToggle`.
+	 */
+	hideDataTableLabel: PropTypes.string,
+	/**
+	 * The date to show the focus and tooltip of, e.g. the date hovered in another chart from `onHoverDate`, to
+	 * keep a crosshair in sync across charts. `null` hides them.
+	 */
+	hoveredDate: PropTypes.oneOfType( [
+		PropTypes.string,
+		PropTypes.number,
+		PropTypes.instanceOf( Date ),
+	] ),
 	/**
 	 * Interval specification (hourly, daily, weekly etc.)
 	 */
 	interval: PropTypes.oneOf( [ 'hour', 'day', 'week', 'month', 'quarter', 'year' ] ),
+	/**
+	 * A property name or function returning the optional label of a `long` format item, shown in the bar
+	 * aria labels in `time-comparison` mode.
+	 */
+	labelAccessor: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * How the values of each category are aggregated into the `total` of `orderedKeys`, which orders the
+	 * categories and is shown in the legend: `sum`, `average`, `last`, `max`, `min`, or a function called with
+	 * the values of a category, missing values left out, and its key. Applies when `orderedKeys` is not set.
+	 */
+	legendAggregate: PropTypes.oneOfType( [
+		PropTypes.oneOf( [ 'average', 'last', 'max', 'min', 'sum' ] ),
+		PropTypes.func,
+	] ),
 	/**
 	 * Margins for axis and chart padding.
 	 */
@@ -215,17 +560,94 @@ D3Chart.propTypes = {
 		right: PropTypes.number,
 		top: PropTypes.number,
 	} ),
+	/**
+	 * How missing or `null` values are plotted: as a `gap` in lines and areas (bars are skipped), as `zero`,
+	 * or by connecting the surrounding values with `interpolate`.
+	 */
+	missingData: PropTypes.oneOf( [ 'gap', 'zero', 'interpolate' ] ),
 	/**
 	 * `items-comparison` (default) or `time-comparison`, this is used to generate correct
-	 * ARIA properties.
+	 * ARIA properties. In `time-comparison` mode, `previousData` is compared with `data`.
 	 */
 	mode: PropTypes.oneOf( [ 'item-comparison', 'time-comparison' ] ),
+	/**
+	 * Text displayed in the tooltip for missing or `null` values.
+	 */
+	noDataLabel: PropTypes.string,
+	/**
+	 * Called with `{ key, date, value, label }` when a bar is clicked, or activated with Enter or Space.
+	 * Without it, clicking a bar calls `onDateClick`.
+	 */
+	onBarClick: PropTypes.func,
+	/**
+	 * Called with `{ key, date, value, label }` when a date is clicked, with a `null` key and value and the
+	 * formatted date as label.
+	 */
+	onDateClick: PropTypes.func,
+	/**
+	 * Called with the date hovered or focused in the chart and the value of each category at that date by key,
+	 * and with `null` when it is left.
+	 */
+	onHoverDate: PropTypes.func,
+	/**
+	 * Called with `{ key, date, value, label }` when a point of a line or area chart is clicked, or activated
+	 * with Enter or Space. Without it, clicking a point calls `onDateClick`.
+	 */
+	onPointClick: PropTypes.func,
+	/**
+	 * Called with the first and last date of the range dragged across a `zoomable` chart, and with `null`s
+	 * when the zoom is reset.
+	 */
+	onZoom: PropTypes.func,
 	/**
 	 * The list of labels for this chart.
 	 */
 	orderedKeys: PropTypes.array,
 	/**
-	 * A datetime formatting string or overriding function to format the tooltip label.
+	 * The data of the previous period, in the same format as `data` but with its own dates. In
+	 * `time-comparison` mode it is aligned with `data` by index and drawn dashed and muted, and the
+	 * tooltip labels each category with the date of its period and shows the percent change.
+	 */
+	previousData: PropTypes.array,
+	/**
+	 * Appended to the keys of `previousData` to label the previous period, e.g. `Hoodie (Previous period)`.
+	 */
+	previousLabel: PropTypes.string,
+	/**
+	 * Renders the content of the tooltip, called with the `{ date, rows, other, total, title }` otherwise passed
+	 * to the default `D3Tooltip`.
+	 */
+	renderTooltip: PropTypes.func,
+	/**
+	 * Text of the button resetting the zoom of a `zoomable` chart.
+	 */
+	resetZoomLabel: PropTypes.string,
+	/**
+	 * A property name or function returning the category key of a `long` format item.
+	 */
+	seriesAccessor: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * Text of the button showing the data table of a chart with `dataTableToggle`.
+	 */
+	showDataTableLabel: PropTypes.string,
+	/**
+	 * A description of the chart read by screen readers, replacing the generated summary of the dates and of
+	 * the trend, highest and lowest value of each category.
+	 */
+	summary: PropTypes.string,
+	/**
+	 * Returns the first sentence of the generated summary, called with the formatted first and last dates.
+	 */
+	summaryDatesFormat: PropTypes.func,
+	/**
+	 * Returns the sentence of the generated summary describing a category, called with an object of its `key`, its
+	 * `trend` (`up`, `down` or `flat`), its formatted `first`, `last`, `highest` and `lowest` values and the
+	 * formatted `highestDate` and `lowestDate`.
+	 */
+	summaryKeyFormat: PropTypes.func,
+	/**
+	 * A datetime formatting string or overriding function to format the tooltip label. Only a function applies
+	 * to `band` and `linear` x-axes.
 	 */
 	tooltipLabelFormat: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
 	/**
@@ -241,46 +663,152 @@ D3Chart.propTypes = {
 	 */
 	tooltipTitle: PropTypes.string,
 	/**
-	 * Chart type of either `line` or `bar`.
+	 * The maximum number of categories listed in the tooltip. The largest values are kept and the others are
+	 * summed up in a row labelled `tooltipOtherLabel`. The categories of `y2Keys` are always listed.
 	 */
-	type: PropTypes.oneOf( [ 'bar', 'line' ] ),
+	tooltipMaxRows: PropTypes.number,
+	/**
+	 * Label of the tooltip row summing up the categories beyond `tooltipMaxRows`.
+	 */
+	tooltipOtherLabel: PropTypes.string,
+	/**
+	 * Order of the tooltip rows by value, either `ascending`, `descending` or `none` to keep the legend order.
+	 */
+	tooltipSort: PropTypes.oneOf( [ 'ascending', 'descending', 'none' ] ),
+	/**
+	 * Label of a row appended to the tooltip with the total of the current period, without the categories of
+	 * `y2Keys`. No total is shown without it.
+	 */
+	tooltipTotalLabel: PropTypes.string,
+	/**
+	 * Chart type of either `line`, `area`, `stacked-area`, `bar` or `stacked-bar`.
+	 */
+	type: PropTypes.oneOf( [ 'area', 'bar', 'line', 'stacked-area', 'stacked-bar' ] ),
+	/**
+	 * Parse, scale, tick and format dates in UTC rather than in the browser's local time.
+	 */
+	utc: PropTypes.bool,
+	/**
+	 * A property name or function returning the value of a `long` format item.
+	 */
+	valueAccessor: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
 	/**
 	 * Relative viewport width of the `svg`.
 	 */
 	width: PropTypes.number,
 	/**
-	 * A datetime formatting string or function, passed to d3TimeFormat.
+	 * A property name or function returning the x value of a `long` format item, defaults to `xKey`.
+	 */
+	xAccessor: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * A datetime formatting string or function, passed to d3TimeFormat, or d3UTCFormat when `utc` is set.
+	 * Only a function applies to `band` and `linear` x-axes, otherwise their values are shown as they are.
 	 */
 	xFormat: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
 	/**
-	 * A datetime formatting string or function, passed to d3TimeFormat.
+	 * A datetime formatting string or function, passed to d3TimeFormat, or d3UTCFormat when `utc` is set.
+	 * The second row of x-axis labels is only drawn for `time` x-axes.
 	 */
 	x2Format: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * The property of each item of `data` holding its x value.
+	 */
+	xKey: PropTypes.string,
+	/**
+	 * The x-axis of either `time` (dates parsed with `dateParser`), `band` (categories, e.g. product categories,
+	 * in the order of `data`) or `linear` (numbers, e.g. price buckets or the hour of the day).
+	 */
+	xType: PropTypes.oneOf( [ 'band', 'linear', 'time' ] ),
+	/**
+	 * A fixed `[ min, max ]` domain for the y-axis, e.g. `[ 0, 1 ]` for a conversion rate. A `null` bound is
+	 * calculated from the data.
+	 */
+	yDomain: PropTypes.arrayOf( PropTypes.number ),
 	/**
 	 * A number formatting string or function, passed to d3Format.
 	 */
 	yFormat: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * Extend the y domain so the gridlines fall on round values (e.g. 0/50k/100k/150k), rather than dividing
+	 * the rounded maximum value equally.
+	 */
+	yNice: PropTypes.bool,
+	/**
+	 * The type of the y scale, `linear`, `log` or `symlog`. The logarithmic scales draw gridlines at powers of
+	 * ten; `log` can only plot positive values, use `symlog` for data including zero or negative values.
+	 */
+	yScaleType: PropTypes.oneOf( [ 'linear', 'log', 'symlog' ] ),
+	/**
+	 * The number of y-axis gridlines from zero to the largest value. With `yNice` this is a hint, the actual
+	 * number may differ so that the values are round.
+	 */
+	yTickCount: PropTypes.number,
+	/**
+	 * A number formatting string or function, passed to d3Format, for the secondary y-axis. It is also used
+	 * to format the values of `y2Keys` in the tooltips.
+	 */
+	y2Format: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * The keys to plot against a secondary y-axis on the right of the chart, with its own scale. Make sure
+	 * `margin.right` leaves room for its ticks.
+	 */
+	y2Keys: PropTypes.arrayOf( PropTypes.string ),
+	/**
+	 * Lets a range of dates be dragged across the chart to zoom into it. The zoom is reset with a button, by
+	 * double-clicking the chart or when `data` changes.
+	 */
+	zoomable: PropTypes.bool,
 };
 
 D3Chart.defaultProps = {
+	curve: 'linear',
 	data: [],
+	dataFormat: 'wide',
+	dataTableToggle: false,
 	dateParser: '%Y-%m-%dT%H:%M:%S',
+	duration: 0,
+	easing: d3EaseCubicInOut,
 	height: 200,
+	hideDataTableLabel: 'Hide data table',
+	labelAccessor: 'label',
+	legendAggregate: 'sum',
 	margin: {
 		bottom: 30,
 		left: 40,
 		right: 0,
 		top: 20,
 	},
+	missingData: 'gap',
 	mode: 'item-comparison',
+	noDataLabel: 'No data',
+	previousLabel: 'Previous period',
+	resetZoomLabel: 'Reset zoom',
+	seriesAccessor: 'series',
+	showDataTableLabel: 'Show data table',
+	summaryDatesFormat: ( from, to ) => `From ${ from } to ${ to }.`,
+	summaryKeyFormat: d =>
+		`${ d.key }: ${ summaryTrends[ d.trend ] } from ${ d.first } to ${ d.last }, ` +
+		`highest ${ d.highest } on ${ d.highestDate }, lowest ${ d.lowest } on ${ d.lowestDate }.`,
 	tooltipPosition: 'over',
 	tooltipLabelFormat: '%B %d, %Y',
+	tooltipOtherLabel: 'Other',
+	tooltipSort: 'none',
 	tooltipValueFormat: ',',
 	type: 'line',
+	utc: false,
+	valueAccessor: 'value',
 	width: 600,
 	xFormat: '%Y-%m-%d',
 	x2Format: '',
+	xKey: 'date',
+	xType: 'time',
 	yFormat: '.3s',
+	yNice: false,
+	yScaleType: 'linear',
+	yTickCount: 4,
+	y2Format: '.3s',
+	y2Keys: [],
+	zoomable: false,
 };
 
 export default D3Chart;
@@ -6,7 +6,7 @@
 import classNames from 'classnames';
 import PropTypes from 'prop-types';
 import { Component, createRef } from '@wordpress/element';
-import { isEmpty, isEqual } from 'lodash';
+import { isEmpty, isEqual, pull } from 'lodash';
 import { select as d3Select } from 'd3-selection';
 
 /**
@@ -14,6 +14,25 @@ import { select as d3Select } from 'd3-selection';
  */
 import './style.scss';
 
+// Every mounted chart is notified by a single window listener, rather than each adding its own.
+const resizeListeners = [];
+
+const handleWindowResize = () => resizeListeners.forEach( listener => listener() );
+
+const addResizeListener = listener => {
+	if ( ! resizeListeners.length ) {
+		window.addEventListener( 'resize', handleWindowResize );
+	}
+	resizeListeners.push( listener );
+};
+
+const removeResizeListener = listener => {
+	pull( resizeListeners, listener );
+	if ( ! resizeListeners.length ) {
+		window.removeEventListener( 'resize', handleWindowResize );
+	}
+};
+
 /**
  * Provides foundation to use D3 within React.
  *
@@ -71,7 +90,7 @@ export default class D3Base extends Component {
 	}
 
 	componentDidMount() {
-		window.addEventListener( 'resize', this.updateParams );
+		addResizeListener( this.updateParams );
 
 		this.drawChart();
 	}
@@ -89,7 +108,7 @@ export default class D3Base extends Component {
 	}
 
 	componentWillUnmount() {
-		window.removeEventListener( 'resize', this.updateParams );
+		removeResizeListener( this.updateParams );
 
 		this.deleteChart();
 	}
@@ -113,24 +132,28 @@ export default class D3Base extends Component {
 		this.props.drawChart( svg, this.state.params );
 	}
 
+	/**
+	 * The `g` of the chart's svg, kept across renders so that `drawChart` can update the previous drawing.
+	 */
 	getContainer() {
 		const { className } = this.props;
 		const { width, height } = this.state.params;
 
-		this.deleteChart();
+		let svg = d3Select( this.chartRef.current ).select( 'svg' );
+		if ( svg.empty() ) {
+			svg = d3Select( this.chartRef.current )
+				.append( 'svg' )
+				.attr( 'preserveAspectRatio', 'xMidYMid meet' );
+			svg.append( 'g' );
+		}
 
-		const svg = d3Select( this.chartRef.current )
-			.append( 'svg' )
+		svg
 			.attr( 'viewBox', `0 0 ${ width } ${ height }` )
 			.attr( 'height', height )
 			.attr( 'width', width )
-			.attr( 'preserveAspectRatio', 'xMidYMid meet' );
-
-		if ( className ) {
-			svg.attr( 'class', `${ className }__viewbox` );
-		}
+			.attr( 'class', className ? `${ className }__viewbox` : null );
 
-		return svg.append( 'g' );
+		return svg.select( 'g' );
 	}
 
 	updateParams = () => {
@@ -23,6 +23,7 @@ describe( 'D3base', () => {
 		const getParams = () => ( { width: 100, height: 100 } );
 		const base = mount( <D3Base drawChart={ noop } getParams={ getParams } /> );
 		expect( base.render().find( 'svg' ) ).toHaveLength( 1 );
+		base.unmount();
 	} );
 
 	test( 'should render a result of the drawChart prop', () => {
@@ -35,6 +36,7 @@ describe( 'D3base', () => {
 		} );
 		const base = mount( <D3Base drawChart={ drawChart } getParams={ getParams } /> );
 		expect( base.render().find( 'circle' ) ).toHaveLength( 1 );
+		base.unmount();
 	} );
 
 	test( 'should pass a property of getParams output to drawChart function', () => {
@@ -46,5 +48,43 @@ describe( 'D3base', () => {
 		};
 		const base = mount( <D3Base drawChart={ drawChart } getParams={ getParams } /> );
 		expect( base.render().find( 'circle' ) ).toHaveLength( 1 );
+		base.unmount();
+	} );
+
+	test( 'should keep the svg so that drawChart updates the previous drawing', () => {
+		const drawChart = svg => {
+			svg.selectAll( 'circle' ).size() || svg.append( 'circle' );
+		};
+		const getParams = () => ( { width: 100, height: 100 } );
+		const base = mount( <D3Base drawChart={ drawChart } getParams={ getParams } type="line" /> );
+		const svg = base.getDOMNode().querySelector( 'svg' );
+		base.setProps( { type: 'bar' } );
+		expect( base.getDOMNode().querySelector( 'svg' ) ).toBe( svg );
+		expect( base.render().find( 'circle' ) ).toHaveLength( 1 );
+		base.unmount();
+	} );
+
+	test( 'should update every chart from a single window resize listener', () => {
+		const isResize = call => call[ 0 ] === 'resize';
+		const addEventListener = jest.spyOn( window, 'addEventListener' );
+		const removeEventListener = jest.spyOn( window, 'removeEventListener' );
+		const firstParams = jest.fn( () => ( { width: 100, height: 100 } ) );
+		const secondParams = jest.fn( () => ( { width: 100, height: 100 } ) );
+		const first = mount( <D3Base drawChart={ noop } getParams={ firstParams } /> );
+		const second = mount( <D3Base drawChart={ noop } getParams={ secondParams } /> );
+		expect( addEventListener.mock.calls.filter( isResize ) ).toHaveLength( 1 );
+		firstParams.mockClear();
+		secondParams.mockClear();
+
+		window.dispatchEvent( new window.Event( 'resize' ) );
+		expect( firstParams ).toHaveBeenCalledTimes( 1 );
+		expect( secondParams ).toHaveBeenCalledTimes( 1 );
+
+		first.unmount();
+		expect( removeEventListener.mock.calls.filter( isResize ) ).toHaveLength( 0 );
+		second.unmount();
+		expect( removeEventListener.mock.calls.filter( isResize ) ).toHaveLength( 1 );
+		addEventListener.mockRestore();
+		removeEventListener.mockRestore();
 	} );
 } );
@@ -0,0 +1,82 @@
+/** @format */
+/**
+ * External dependencies
+ */
+import { Component } from '@wordpress/element';
+import { isEqual } from 'lodash';
+import PropTypes from 'prop-types';
+
+/**
+ * A table of the chart data, one row per date and one column per visible category, as an alternative to the chart.
+ */
+class D3DataTable extends Component {
+	// A long period has many cells, only rendered again when they change.
+	shouldComponentUpdate( nextProps ) {
+		return ! isEqual( nextProps, this.props );
+	}
+
+	render() {
+		const { caption, columns, dateLabel, rows } = this.props;
+
+		return (
+			<table>
+				{ caption && <caption>{ caption }</caption> }
+				<thead>
+					<tr>
+						<th scope="col">{ dateLabel }</th>
+						{ columns.map( column => (
+							<th scope="col" key={ column.key }>
+								{ column.key }
+							</th>
+						) ) }
+					</tr>
+				</thead>
+				<tbody>
+					{ rows.map( row => (
+						<tr key={ String( row.date ) }>
+							<th scope="row">{ row.label }</th>
+							{ row.values.map( ( value, i ) => (
+								<td key={ columns[ i ].key }>{ value }</td>
+							) ) }
+						</tr>
+					) ) }
+				</tbody>
+			</table>
+		);
+	}
+}
+
+D3DataTable.propTypes = {
+	/**
+	 * The caption of the table.
+	 */
+	caption: PropTypes.string,
+	/**
+	 * The visible categories, each with its `key`.
+	 */
+	columns: PropTypes.arrayOf(
+		PropTypes.shape( {
+			key: PropTypes.string,
+		} )
+	).isRequired,
+	/**
+	 * The header of the column of dates.
+	 */
+	dateLabel: PropTypes.string,
+	/**
+	 * The dates, each with its `date`, formatted `label` and the formatted `values` of the columns.
+	 */
+	rows: PropTypes.arrayOf(
+		PropTypes.shape( {
+			date: PropTypes.any,
+			label: PropTypes.string,
+			values: PropTypes.arrayOf( PropTypes.string ),
+		} )
+	).isRequired,
+};
+
+D3DataTable.defaultProps = {
+	dateLabel: 'Date',
+};
+
+export default D3DataTable;
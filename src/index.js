@@ -1,2 +1,5 @@
 export { default as D3Chart } from './chart';
-export { default as D3Legend } from './legend';
\ No newline at end of file
+export { default as D3ChartWithLegend } from './chart-with-legend';
+export { default as D3DataTable } from './data-table';
+export { default as D3Legend } from './legend';
+export { default as D3Tooltip } from './tooltip';
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 import classNames from 'classnames';
 import { Component, createRef } from '@wordpress/element';
+import { includes, isNil, uniqueId } from 'lodash';
 import PropTypes from 'prop-types';
 
 /**
@@ -20,8 +21,10 @@ class D3Legend extends Component {
 		super();
 
 		this.listRef = createRef();
+		this.legendId = uniqueId( 'woocommerce-legend-' );
 
 		this.state = {
+			filter: '',
 			isScrollable: false,
 		};
 	}
@@ -43,23 +46,72 @@ class D3Legend extends Component {
 		} );
 	};
 
+	updateFilter = event => {
+		this.setState( { filter: event.target.value }, this.updateListScroll );
+	};
+
+	getFilteredData() {
+		const filter = this.state.filter.trim().toLowerCase();
+		return this.props.data.filter( row => includes( row.key.toLowerCase(), filter ) );
+	}
+
+	/**
+	 * Shows the items matching the filter, along with the visible ones.
+	 */
+	selectAll = event => {
+		const { data, handleLegendSelect } = this.props;
+		const filteredKeys = this.getFilteredData().map( row => row.key );
+		handleLegendSelect(
+			event,
+			data.filter( row => row.visible || includes( filteredKeys, row.key ) ).map( row => row.key )
+		);
+	};
+
+	/**
+	 * Hides the items matching the filter, keeping the first one visible when no other item is.
+	 */
+	selectNone = event => {
+		const { data, handleLegendSelect } = this.props;
+		const filteredData = this.getFilteredData();
+		const filteredKeys = filteredData.map( row => row.key );
+		const keys = data
+			.filter( row => row.visible && ! includes( filteredKeys, row.key ) )
+			.map( row => row.key );
+		handleLegendSelect( event, keys.length ? keys : filteredKeys.slice( 0, 1 ) );
+	};
+
 	render() {
 		const {
 			colorScheme,
 			data,
+			filterable,
+			filterLabel,
 			handleLegendHover,
+			handleLegendSelect,
 			handleLegendToggle,
+			hoveredValues,
 			legendDirection,
 			legendValueFormat,
+			onlyLabel,
+			selectAllLabel,
+			selectNoneLabel,
 			totalLabel,
 		} = this.props;
-		const { isScrollable } = this.state;
+		const { filter, isScrollable } = this.state;
 		const colorParams = {
 			orderedKeys: data,
 			colorScheme,
 		};
 		const numberOfRowsVisible = data.filter( row => row.visible ).length;
+		const filteredData = this.getFilteredData();
 		const showTotalLabel = legendDirection === 'column' && data.length > 5 && totalLabel;
+		const listId = `${ this.legendId }-list`;
+		const formatValue = getFormatter( legendValueFormat );
+		const getRowValue = row => ( hoveredValues ? hoveredValues[ row.key ] : row.total );
+		// The handlers are also called with the key of the item, rather than reading it from the event target.
+		const onHover = key => event => handleLegendHover && handleLegendHover( event, key );
+		const onToggle = key => event => handleLegendToggle && handleLegendToggle( event, key );
+		const onOnly = key => event => handleLegendSelect( event, [ key ] );
 
 		return (
 			<div
@@ -68,51 +120,102 @@ class D3Legend extends Component {
 					`woocommerce-legend__direction-${ legendDirection }`,
 					{
 						'has-total': showTotalLabel,
+						'is-hovered': Boolean( hoveredValues ),
 						'is-scrollable': isScrollable,
 					},
 					this.props.className
 				) }
 			>
+				{ ( filterable || handleLegendSelect ) && (
+					<div className="woocommerce-legend__controls">
+						{ filterable && (
+							<input
+								type="search"
+								className="woocommerce-legend__filter"
+								value={ filter }
+								placeholder={ filterLabel }
+								aria-label={ filterLabel }
+								aria-controls={ listId }
+								onChange={ this.updateFilter }
+							/>
+						) }
+						{ handleLegendSelect && (
+							<button
+								type="button"
+								className="woocommerce-legend__select-all"
+								onClick={ this.selectAll }
+								disabled={ filteredData.every( row => row.visible ) }
+							>
+								{ selectAllLabel }
+							</button>
+						) }
+						{ handleLegendSelect && (
+							<button
+								type="button"
+								className="woocommerce-legend__select-none"
+								onClick={ this.selectNone }
+								disabled={ numberOfRowsVisible <= 1 || filteredData.every( row => ! row.visible ) }
+							>
+								{ selectNoneLabel }
+							</button>
+						) }
+					</div>
+				) }
 				<ul
 					className="woocommerce-legend__list"
+					id={ listId }
 					ref={ this.listRef }
 					onScroll={ showTotalLabel ? this.updateListScroll : null }
 				>
-					{ data.map( row => (
-						<li
-							className={ classNames( 'woocommerce-legend__item', {
-								'woocommerce-legend__item-checked': row.visible,
-							} ) }
-							key={ row.key }
-							id={ row.key }
-							onMouseEnter={ handleLegendHover }
-							onMouseLeave={ handleLegendHover }
-							onBlur={ handleLegendHover }
-							onFocus={ handleLegendHover }
-						>
-							<button
-								onClick={ handleLegendToggle }
-								id={ row.key }
-								disabled={ row.visible && numberOfRowsVisible <= 1 }
+					{ filteredData.map( row => {
+						// Numbered in `data`, so the ids of an item do not change while filtering.
+						const itemId = `${ this.legendId }-item-${ data.indexOf( row ) }`;
+						return (
+							<li
+								className={ classNames( 'woocommerce-legend__item', {
+									'woocommerce-legend__item-checked': row.visible,
+								} ) }
+								key={ row.key }
+								onMouseEnter={ onHover( row.key ) }
+								onMouseLeave={ onHover( row.key ) }
+								onBlur={ onHover( row.key ) }
+								onFocus={ onHover( row.key ) }
 							>
-								<div className="woocommerce-legend__item-container" id={ row.key }>
-									<span
-										className={ classNames( 'woocommerce-legend__item-checkmark', {
-											'woocommerce-legend__item-checkmark-checked': row.visible,
-										} ) }
-										id={ row.key }
-										style={ { color: getColor( row.key, colorParams ) } }
-									/>
-									<span className="woocommerce-legend__item-title" id={ row.key }>
-										{ row.key }
-									</span>
-									<span className="woocommerce-legend__item-total" id={ row.key }>
-										{ getFormatter( legendValueFormat )( row.total ) }
-									</span>
-								</div>
-							</button>
-						</li>
-					) ) }
+								<button
+									className="woocommerce-legend__item-toggle"
+									onClick={ onToggle( row.key ) }
+									id={ itemId }
+									aria-pressed={ row.visible }
+									disabled={ row.visible && numberOfRowsVisible <= 1 }
+								>
+									<div className="woocommerce-legend__item-container">
+										<span
+											className={ classNames( 'woocommerce-legend__item-checkmark', {
+												'woocommerce-legend__item-checkmark-checked': row.visible,
+											} ) }
+											style={ { color: getColor( row.key, colorParams ) } }
+										/>
+										<span className="woocommerce-legend__item-title" id={ `${ itemId }-title` }>
+											{ row.key }
+										</span>
+										<span className="woocommerce-legend__item-total">
+											{ isNil( getRowValue( row ) ) ? '' : formatValue( getRowValue( row ) ) }
+										</span>
+									</div>
+								</button>
+								{ handleLegendSelect && (
+									<button
+										type="button"
+										className="woocommerce-legend__item-only"
+										onClick={ onOnly( row.key ) }
+										aria-describedby={ `${ itemId }-title` }
+									>
+										{ onlyLabel }
+									</button>
+								) }
+							</li>
+						);
+					} ) }
 				</ul>
 				{ showTotalLabel && (
 					<div className="woocommerce-legend__total">{ totalLabel }</div>
@@ -136,13 +239,32 @@ D3Legend.propTypes = {
 	 */
 	data: PropTypes.array.isRequired,
 	/**
-	 * Handles `onClick` event.
+	 * Shows a box filtering the legend items by key.
+	 */
+	filterable: PropTypes.bool,
+	/**
+	 * Placeholder and label of the filter box.
+	 */
+	filterLabel: PropTypes.string,
+	/**
+	 * Handles `onClick` event, called with the event and the key of the item.
 	 */
 	handleLegendToggle: PropTypes.func,
 	/**
-	 * Handles `onMouseEnter`/`onMouseLeave` events.
+	 * Handles `onMouseEnter`/`onMouseLeave` and `onFocus`/`onBlur` events, called with the event and the key of the
+	 * item.
 	 */
 	handleLegendHover: PropTypes.func,
+	/**
+	 * Called with the event and the keys to show, the others being hidden, by the select all and select none
+	 * controls and the "only" action of each item. The controls are only shown with it.
+	 */
+	handleLegendSelect: PropTypes.func,
+	/**
+	 * The values of a date hovered in the chart by key, as passed to the chart's `onHoverDate`, shown instead
+	 * of the totals. `null` shows the totals.
+	 */
+	hoveredValues: PropTypes.object,
 	/**
 	 * Display legend items as a `row` or `column` inside a flex-box.
 	 */
@@ -151,6 +273,18 @@ D3Legend.propTypes = {
 	 * A number formatting string or function to format the value displayed in the legend.
 	 */
 	legendValueFormat: PropTypes.oneOfType( [ PropTypes.string, PropTypes.func ] ),
+	/**
+	 * Text of the action showing a single item.
+	 */
+	onlyLabel: PropTypes.string,
+	/**
+	 * Text of the control showing all the items matching the filter.
+	 */
+	selectAllLabel: PropTypes.string,
+	/**
+	 * Text of the control hiding the items matching the filter. One item is always kept visible.
+	 */
+	selectNoneLabel: PropTypes.string,
 	/**
 	 * Label to describe the legend items. It will be displayed in the legend of
 	 * comparison charts when there are many.
@@ -159,7 +293,13 @@ D3Legend.propTypes = {
 };
 
 D3Legend.defaultProps = {
+	filterable: false,
+	filterLabel: 'Filter',
 	legendDirection: 'row',
+	legendValueFormat: ',',
+	onlyLabel: 'Only',
+	selectAllLabel: 'Select all',
+	selectNoneLabel: 'Select none',
 };
 
 export default D3Legend;
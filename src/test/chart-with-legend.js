@@ -0,0 +1,113 @@
+/**
+ * External dependencies
+ *
+ * @format
+ */
+import { shallow } from 'enzyme';
+
+/**
+ * Internal dependencies
+ */
+import ChartWithLegend from '../chart-with-legend';
+import dummyOrders from './fixtures/dummy';
+
+const getLegendKeys = wrapper => wrapper.find( 'D3Legend' ).prop( 'data' );
+
+describe( 'ChartWithLegend', () => {
+	test( 'should pass the same keys to the chart and the legend', () => {
+		const wrapper = shallow( <ChartWithLegend data={ dummyOrders } /> );
+
+		expect( wrapper.find( 'D3Chart' ).prop( 'orderedKeys' ) ).toEqual( getLegendKeys( wrapper ) );
+		expect( getLegendKeys( wrapper ).map( row => row.key ) ).toEqual( [
+			'Cap',
+			'T-Shirt',
+			'Sunglasses',
+			'Polo',
+			'Hoodie',
+		] );
+	} );
+
+	test( 'should toggle a key but keep one visible', () => {
+		const orderedKeys = [
+			{ key: 'Cap', visible: true },
+			{ key: 'Polo', visible: false },
+		];
+		const wrapper = shallow( <ChartWithLegend data={ dummyOrders } orderedKeys={ orderedKeys } /> );
+		const toggle = key => wrapper.find( 'D3Legend' ).prop( 'handleLegendToggle' )( {}, key );
+
+		toggle( 'Cap' );
+		expect( getLegendKeys( wrapper ).map( row => row.visible ) ).toEqual( [ true, false ] );
+		toggle( 'Polo' );
+		toggle( 'Cap' );
+		expect( getLegendKeys( wrapper ).map( row => row.visible ) ).toEqual( [ false, true ] );
+	} );
+
+	test( 'should show only the selected keys', () => {
+		const wrapper = shallow( <ChartWithLegend data={ dummyOrders } /> );
+		const select = keys => wrapper.find( 'D3Legend' ).prop( 'handleLegendSelect' )( {}, keys );
+
+		select( [ 'Polo', 'Cap' ] );
+		expect(
+			getLegendKeys( wrapper )
+				.filter( row => row.visible )
+				.map( row => row.key )
+		).toEqual( [ 'Cap', 'Polo' ] );
+		select( [] );
+		expect( getLegendKeys( wrapper ).filter( row => row.visible ) ).toHaveLength( 2 );
+	} );
+
+	test( 'should focus the hovered key', () => {
+		const wrapper = shallow( <ChartWithLegend data={ dummyOrders } /> );
+		const hover = ( type, key ) =>
+			wrapper.find( 'D3Legend' ).prop( 'handleLegendHover' )( { type }, key );
+
+		hover( 'mouseenter', 'Polo' );
+		expect( getLegendKeys( wrapper ).filter( row => row.focus ) ).toHaveLength( 1 );
+		expect( wrapper.find( 'D3Chart' ).prop( 'orderedKeys' )[ 3 ] ).toMatchObject( {
+			key: 'Polo',
+			focus: true,
+		} );
+		hover( 'mouseleave', 'Polo' );
+		expect( getLegendKeys( wrapper ).filter( row => row.focus ) ).toHaveLength( 5 );
+	} );
+
+	test( 'should show the values of the hovered date in the legend', () => {
+		const onHoverDate = jest.fn();
+		const wrapper = shallow(
+			<ChartWithLegend data={ dummyOrders } onHoverDate={ onHoverDate } showHoveredValues />
+		);
+		const hoverDate = ( date, values ) =>
+			wrapper.find( 'D3Chart' ).prop( 'onHoverDate' )( date, values );
+
+		hoverDate( dummyOrders[ 0 ].date, { Cap: 10 } );
+		expect( wrapper.find( 'D3Legend' ).prop( 'hoveredValues' ) ).toEqual( { Cap: 10 } );
+		expect( onHoverDate ).toHaveBeenCalledWith( dummyOrders[ 0 ].date, { Cap: 10 } );
+		hoverDate( null, null );
+		expect( wrapper.find( 'D3Legend' ).prop( 'hoveredValues' ) ).toBeNull();
+	} );
+
+	test( 'should read long-format data with the chart accessors', () => {
+		const longData = [
+			{ date: '2018-05-30T00:00:00', series: 'Cap', value: 10 },
+			{ date: '2018-05-30T00:00:00', series: 'Polo', value: 30 },
+		];
+		const wrapper = shallow( <ChartWithLegend data={ longData } dataFormat="long" /> );
+
+		expect( getLegendKeys( wrapper ).map( row => [ row.key, row.total ] ) ).toEqual( [
+			[ 'Polo', 30 ],
+			[ 'Cap', 10 ],
+		] );
+		expect( wrapper.find( 'D3Chart' ).prop( 'orderedKeys' ) ).toEqual( getLegendKeys( wrapper ) );
+	} );
+
+	test( 'should render the legend below the chart', () => {
+		const wrapper = shallow( <ChartWithLegend data={ dummyOrders } legendPosition="below" /> );
+
+		expect(
+			wrapper
+				.children()
+				.last()
+				.name()
+		).toEqual( 'D3Legend' );
+	} );
+} );
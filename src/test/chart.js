@@ -0,0 +1,340 @@
+/**
+ * External dependencies
+ *
+ * @format
+ */
+import { mount } from 'enzyme';
+import { select as d3Select } from 'd3-selection';
+
+/**
+ * Internal dependencies
+ */
+import D3Chart from '../chart';
+import D3DataTable from '../data-table';
+import dummyOrders from './fixtures/dummy';
+import { getOrderedKeys, getUniqueKeys } from '../utils';
+
+const colorScheme = () => '#000';
+
+const click = ( node, { x = 0, y = 0, detail = 1 } = {} ) =>
+	node.dispatchEvent(
+		new window.MouseEvent( 'click', { bubbles: true, clientX: x, clientY: y, detail } )
+	);
+
+const mouseover = ( node, { x = 0, y = 0 } = {} ) =>
+	node.dispatchEvent(
+		new window.MouseEvent( 'mouseover', { bubbles: true, clientX: x, clientY: y } )
+	);
+
+const keydown = ( node, key ) =>
+	node.dispatchEvent( new window.KeyboardEvent( 'keydown', { bubbles: true, key } ) );
+
+describe( 'D3Chart', () => {
+	let wrapper;
+
+	const mountChart = props => {
+		document.body.innerHTML = '<div></div>';
+		wrapper = mount(
+			<D3Chart colorScheme={ colorScheme } data={ dummyOrders } width={ 600 } { ...props } />,
+			{ attachTo: document.body.firstChild }
+		);
+		return wrapper;
+	};
+
+	afterEach( () => wrapper.detach() );
+
+	describe( 'click callbacks', () => {
+		test( 'should call onDateClick with the clicked date', () => {
+			const onDateClick = jest.fn();
+			mountChart( { onDateClick } );
+
+			click( document.querySelectorAll( '.focus-g' )[ 1 ], { y: -50 } );
+			expect( onDateClick ).toHaveBeenCalledTimes( 1 );
+			expect( onDateClick.mock.calls[ 0 ][ 0 ] ).toMatchObject( {
+				key: null,
+				date: dummyOrders[ 1 ].date,
+				value: null,
+			} );
+		} );
+
+		test( 'should call onDateClick once for a double-click resetting the zoom', () => {
+			const onDateClick = jest.fn();
+			mountChart( { onDateClick, zoomable: true } );
+			const focus = document.querySelectorAll( '.focus-g' )[ 1 ];
+
+			click( focus, { y: -50 } );
+			click( focus, { y: -50, detail: 2 } );
+			focus.dispatchEvent( new window.MouseEvent( 'dblclick', { bubbles: true, detail: 2 } ) );
+			expect( onDateClick ).toHaveBeenCalledTimes( 1 );
+		} );
+
+		test( 'should call onPointClick with the point under the mouse', () => {
+			const onDateClick = jest.fn();
+			const onPointClick = jest.fn();
+			mountChart( { onDateClick, onPointClick } );
+			// The highest value of the first date, far from the others.
+			const point = document.querySelector( '.line-g:last-child circle' );
+			const { date, key } = d3Select( point ).datum();
+			const focus = document.querySelectorAll( '.focus-g' )[ 0 ];
+
+			click( focus, { x: 1, y: Number( point.getAttribute( 'cy' ) ) + 1 } );
+			expect( onPointClick ).toHaveBeenCalledTimes( 1 );
+			expect( onPointClick.mock.calls[ 0 ][ 0 ] ).toMatchObject( { date, key } );
+			expect( onDateClick ).not.toHaveBeenCalled();
+		} );
+
+		test( 'should call onBarClick with the bar under the mouse', () => {
+			const onBarClick = jest.fn();
+			mountChart( { onBarClick, type: 'bar' } );
+			const bar = document.querySelector( '.bar' );
+			const { date, key } = d3Select( bar ).datum();
+
+			click( bar.parentNode.querySelector( '.barmouse' ), {
+				x: Number( bar.getAttribute( 'x' ) ) + 1,
+				y: Number( bar.getAttribute( 'y' ) ) + 1,
+			} );
+			expect( onBarClick ).toHaveBeenCalledTimes( 1 );
+			expect( onBarClick.mock.calls[ 0 ][ 0 ] ).toMatchObject( { date, key } );
+		} );
+
+		test( 'should activate the focused point or bar with Enter or Space', () => {
+			const onPointClick = jest.fn();
+			mountChart( { onPointClick } );
+			const point = document.querySelector( '.line-g circle' );
+
+			keydown( point, 'Enter' );
+			keydown( point, ' ' );
+			keydown( point, 'a' );
+			expect( onPointClick ).toHaveBeenCalledTimes( 2 );
+			const { date, key, value } = d3Select( point ).datum();
+			expect( onPointClick ).toHaveBeenCalledWith( { date, key, value, label: '' } );
+			wrapper.detach();
+
+			const onBarClick = jest.fn();
+			mountChart( { onBarClick, type: 'bar' } );
+			keydown( document.querySelector( '.bar' ), ' ' );
+			expect( onBarClick ).toHaveBeenCalledTimes( 1 );
+		} );
+	} );
+
+	describe( 'zoom', () => {
+		test( 'should stop following the mouse when unmounted during a selection', () => {
+			const onZoom = jest.fn();
+			mountChart( { onZoom, zoomable: true } );
+			const removeListener = jest.spyOn( window, 'removeEventListener' );
+
+			document
+				.querySelector( '.focus-g' )
+				.dispatchEvent( new window.MouseEvent( 'mousedown', { bubbles: true } ) );
+			wrapper.unmount();
+			const removed = removeListener.mock.calls.map( ( [ type ] ) => type );
+			removeListener.mockRestore();
+			expect( removed ).toEqual( expect.arrayContaining( [ 'mousemove', 'mouseup' ] ) );
+			window.dispatchEvent( new window.MouseEvent( 'mouseup', { clientX: 300 } ) );
+			expect( onZoom ).not.toHaveBeenCalled();
+		} );
+	} );
+
+	describe( 'yDomain', () => {
+		test( 'should keep the bars within a domain without zero', () => {
+			mountChart( { type: 'bar', yDomain: [ 2000000, 6000000 ] } );
+			const height = Number( document.querySelector( '.barfocus' ).getAttribute( 'height' ) );
+
+			document.querySelectorAll( '.bar' ).forEach( bar => {
+				expect( Number( bar.getAttribute( 'y' ) ) ).toBeGreaterThanOrEqual( 0 );
+				expect(
+					Number( bar.getAttribute( 'y' ) ) + Number( bar.getAttribute( 'height' ) )
+				).toBeLessThanOrEqual( height );
+			} );
+			expect( d3Select( '.grid .is-baseline' ).datum() ).toEqual( 2000000 );
+		} );
+	} );
+
+	describe( 'hoveredDate', () => {
+		test( 'should show the date hovered in another chart', () => {
+			mountChart();
+			const tooltip = document.querySelector( '.d3-chart__tooltip' );
+
+			wrapper.setProps( { hoveredDate: dummyOrders[ 2 ].date } );
+			expect( tooltip.style.visibility ).toEqual( 'visible' );
+			expect( document.querySelectorAll( '.focus-grid' )[ 2 ].getAttribute( 'opacity' ) ).toEqual(
+				'1'
+			);
+			wrapper.setProps( { hoveredDate: null } );
+			expect( tooltip.style.visibility ).toEqual( 'hidden' );
+		} );
+
+		test( 'should keep its own tooltip when its hovered date comes back', () => {
+			const onHoverDate = jest.fn( date => wrapper.setProps( { hoveredDate: date } ) );
+			mountChart( { onHoverDate } );
+			const point = document.querySelectorAll( '.line-g:last-child circle' )[ 1 ];
+			const tooltip = document.querySelector( '.d3-chart__tooltip' );
+
+			mouseover( document.querySelectorAll( '.focus-g' )[ 1 ], {
+				y: Number( point.getAttribute( 'cy' ) ) + 1,
+			} );
+			expect( onHoverDate ).toHaveBeenCalledWith( dummyOrders[ 1 ].date, expect.any( Object ) );
+			expect( tooltip.style.visibility ).toEqual( 'visible' );
+			expect( tooltip.querySelector( '.is-highlighted .key-key' ).textContent ).toEqual(
+				d3Select( point ).datum().key
+			);
+		} );
+	} );
+
+	describe( 'tooltip', () => {
+		test( 'should render the hovered date without rendering the chart again', () => {
+			const renderTooltip = jest.fn( tooltip => <span className="custom">{ tooltip.title }</span> );
+			mountChart( { renderTooltip, tooltipTitle: 'Orders' } );
+			const render = jest.spyOn( D3Chart.prototype, 'render' );
+
+			mouseover( document.querySelectorAll( '.focus-g' )[ 1 ], { y: -50 } );
+			expect( render ).not.toHaveBeenCalled();
+			render.mockRestore();
+			expect( renderTooltip ).toHaveBeenLastCalledWith(
+				expect.objectContaining( { date: dummyOrders[ 1 ].date, title: 'Orders' } )
+			);
+			expect( document.querySelector( '.d3-chart__tooltip .custom' ).textContent ).toEqual(
+				'Orders'
+			);
+		} );
+	} );
+
+	describe( 'instances', () => {
+		test( 'should scope the ids and the tooltip to each chart', () => {
+			document.body.innerHTML = '<div></div><div></div>';
+			const [ firstRoot, secondRoot ] = document.body.children;
+			const first = mount( <D3Chart colorScheme={ colorScheme } data={ dummyOrders } />, {
+				attachTo: firstRoot,
+			} );
+			wrapper = mount( <D3Chart colorScheme={ colorScheme } data={ dummyOrders } />, {
+				attachTo: secondRoot,
+			} );
+			const firstTooltip = firstRoot.querySelector( '.d3-chart__tooltip' );
+			const getTooltipSize = jest.spyOn( firstTooltip, 'getBoundingClientRect' );
+
+			expect( firstRoot.querySelector( 'svg > g' ).id ).not.toEqual(
+				secondRoot.querySelector( 'svg > g' ).id
+			);
+			mouseover( secondRoot.querySelectorAll( '.focus-g' )[ 1 ], { y: -50 } );
+			expect( secondRoot.querySelector( '.d3-chart__tooltip' ).style.visibility ).toEqual(
+				'visible'
+			);
+			expect( secondRoot.querySelector( '.d3-chart__tooltip h4' ) ).not.toBeNull();
+			expect( firstTooltip.style.visibility ).not.toEqual( 'visible' );
+			expect( firstTooltip.querySelector( 'h4' ) ).toBeNull();
+			expect( getTooltipSize ).not.toHaveBeenCalled();
+			first.detach();
+		} );
+	} );
+
+	describe( 'keyboard navigation', () => {
+		const orderedKeys = getOrderedKeys( dummyOrders, getUniqueKeys( dummyOrders ) );
+		const keys = orderedKeys.map( row => row.key );
+		const dates = dummyOrders.map( d => d.date );
+		const getPosition = node => {
+			const { date, key } = d3Select( node ).datum();
+			return [ date, key ];
+		};
+		const press = key => {
+			keydown( document.activeElement, key );
+			return getPosition( document.activeElement );
+		};
+
+		[
+			[ 'line', '.line-g circle' ],
+			[ 'bar', '.bar' ],
+		].forEach( ( [ type, selector ] ) => {
+			test( `should make the ${ type } chart a single tab stop moved with the arrow keys`, () => {
+				mountChart( { orderedKeys, type, width: 1200 } );
+				const stops = document.querySelectorAll( `${ selector }[tabindex="0"]` );
+
+				expect( stops ).toHaveLength( 1 );
+				expect( getPosition( stops[ 0 ] ) ).toEqual( [ dates[ 0 ], keys[ 0 ] ] );
+				stops[ 0 ].focus();
+				expect( press( 'ArrowRight' ) ).toEqual( [ dates[ 1 ], keys[ 0 ] ] );
+				expect( press( 'ArrowDown' ) ).toEqual( [ dates[ 1 ], keys[ 1 ] ] );
+				expect( press( 'ArrowDown' ) ).toEqual( [ dates[ 1 ], keys[ 2 ] ] );
+				expect( press( 'ArrowUp' ) ).toEqual( [ dates[ 1 ], keys[ 1 ] ] );
+				expect( press( 'End' ) ).toEqual( [ dates[ dates.length - 1 ], keys[ 1 ] ] );
+				expect( press( 'ArrowRight' ) ).toEqual( [ dates[ dates.length - 1 ], keys[ 1 ] ] );
+				expect( press( 'Home' ) ).toEqual( [ dates[ 0 ], keys[ 1 ] ] );
+				expect( document.querySelectorAll( `${ selector }[tabindex="0"]` ) ).toHaveLength( 1 );
+				expect( document.activeElement.getAttribute( 'tabindex' ) ).toEqual( '0' );
+			} );
+		} );
+
+		test( 'should keep a tab stop when the points are too close together to be shown', () => {
+			const data = Array.from( { length: 30 }, ( d, i ) => ( {
+				date: `2018-06-${ String( i + 1 ).padStart( 2, '0' ) }T00:00:00`,
+				Cap: { value: i + 1 },
+				Polo: { value: 2 * ( i + 1 ) },
+			} ) );
+			mountChart( { data, orderedKeys: getOrderedKeys( data, [ 'Cap', 'Polo' ] ) } );
+			const stops = document.querySelectorAll( '.line-g circle[tabindex="0"]' );
+
+			expect( stops ).toHaveLength( 1 );
+			expect( stops[ 0 ].style.opacity ).toEqual( '0' );
+			stops[ 0 ].focus();
+			expect( press( 'ArrowRight' ) ).toEqual( [ data[ 1 ].date, 'Polo' ] );
+			expect( press( 'ArrowDown' ) ).toEqual( [ data[ 1 ].date, 'Cap' ] );
+			expect( document.querySelectorAll( '.focus-grid' )[ 1 ].getAttribute( 'opacity' ) ).toEqual(
+				'1'
+			);
+		} );
+
+		test( 'should keep the tab stop on the same element across redraws', () => {
+			mountChart( { orderedKeys, width: 1200 } );
+			document.querySelector( '.line-g circle[tabindex="0"]' ).focus();
+			press( 'ArrowRight' );
+			press( 'ArrowDown' );
+			const stop = document.activeElement;
+
+			wrapper.setProps( {
+				orderedKeys: orderedKeys.map( row => ( { ...row, visible: row.key !== keys[ 0 ] } ) ),
+			} );
+			expect( Array.from( document.querySelectorAll( '.line-g circle[tabindex="0"]' ) ) ).toEqual( [
+				stop,
+			] );
+			expect( document.activeElement ).toBe( stop );
+			expect( press( 'ArrowUp' ) ).toEqual( [ dates[ 1 ], keys[ 1 ] ] );
+		} );
+	} );
+
+	describe( 'accessible data', () => {
+		test( 'should only render the data table again when its data or formats change', () => {
+			const orderedKeys = getOrderedKeys( dummyOrders, getUniqueKeys( dummyOrders ) );
+			mountChart( { orderedKeys } );
+			const render = jest.spyOn( D3DataTable.prototype, 'render' );
+
+			wrapper.setProps( { className: 'is-resized', orderedKeys: [ ...orderedKeys ] } );
+			expect( render ).not.toHaveBeenCalled();
+			wrapper.setProps( { tooltipValueFormat: '$,' } );
+			expect( render ).toHaveBeenCalledTimes( 1 );
+			render.mockRestore();
+			expect( document.querySelector( '.d3-chart__data-table td' ).textContent ).toMatch( /^\$/ );
+		} );
+
+		test( 'should describe the secondary y-axis categories with y2Format', () => {
+			const data = [
+				{ date: '2018-06-01T00:00:00', Revenue: { value: 1000 }, Orders: { value: 3 } },
+				{ date: '2018-06-02T00:00:00', Revenue: { value: 500 }, Orders: { value: 4 } },
+			];
+			mountChart( {
+				data,
+				tooltipLabelFormat: '%m/%d',
+				tooltipValueFormat: '$,',
+				y2Format: d => `${ d } orders`,
+				y2Keys: [ 'Orders' ],
+			} );
+			const summary = document.querySelector( '[id$="-summary"]' ).textContent;
+
+			expect( summary ).toContain( 'From 06/01 to 06/02.' );
+			expect( summary ).toContain( 'Orders: trending up from 3 orders to 4 orders' );
+			expect( summary ).toContain( 'Revenue: trending down from $1,000 to $500' );
+			const cells = document.querySelectorAll( '.d3-chart__data-table td' );
+			expect( Array.from( cells ).map( td => td.textContent ) ).toEqual(
+				expect.arrayContaining( [ '$1,000', '3 orders' ] )
+			);
+		} );
+	} );
+} );
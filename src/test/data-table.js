@@ -0,0 +1,38 @@
+/**
+ * External dependencies
+ *
+ * @format
+ */
+import { mount } from 'enzyme';
+
+/**
+ * Internal dependencies
+ */
+import DataTable from '../data-table';
+
+const columns = [ { key: 'Cap' }, { key: 'Polo' } ];
+const rows = [
+	{ date: '2018-05-30T00:00:00', label: 'May 30, 2018', values: [ '100', 'No data' ] },
+	{ date: '2018-05-31T00:00:00', label: 'May 31, 2018', values: [ '80', '20' ] },
+];
+
+describe( 'DataTable', () => {
+	test( 'should render a row for each date and a column for each category', () => {
+		const table = mount( <DataTable columns={ columns } rows={ rows } /> );
+
+		expect( table.find( 'thead th' ).map( th => th.text() ) ).toEqual( [ 'Date', 'Cap', 'Polo' ] );
+		expect( table.find( 'tbody tr' ) ).toHaveLength( 2 );
+		expect(
+			table
+				.find( 'tbody th' )
+				.first()
+				.text()
+		).toEqual( 'May 30, 2018' );
+		expect( table.find( 'tbody td' ).map( td => td.text() ) ).toEqual( [
+			'100',
+			'No data',
+			'80',
+			'20',
+		] );
+	} );
+} );
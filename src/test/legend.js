@@ -4,6 +4,7 @@
  * @format
  */
 import { mount } from 'enzyme';
+import { includes, uniq } from 'lodash';
 
 /**
  * Internal dependencies
@@ -40,4 +41,87 @@ describe( 'Legend', () => {
 		expect( legend.find( 'button' ).get( 0 ).props.disabled ).toBeTruthy();
 		expect( legend.find( 'button' ).get( 1 ).props.disabled ).toBeFalsy();
 	} );
+
+	const products = [
+		{ key: 'Cap', visible: true, total: 100 },
+		{ key: 'Polo', visible: false, total: 100 },
+		{ key: 'Hoodie', visible: true, total: 100 },
+	];
+
+	test( 'should use unique ids and aria-pressed', () => {
+		const legend = mount( <Legend colorScheme={ colorScheme } data={ products } /> );
+		const ids = legend.find( '[id]' ).map( node => node.prop( 'id' ) );
+
+		expect( ids.every( id => ! includes( [ 'Cap', 'Polo', 'Hoodie' ], id ) ) ).toBeTruthy();
+		expect( uniq( ids ) ).toHaveLength( ids.length );
+		expect(
+			legend.find( '.woocommerce-legend__item-toggle' ).map( node => node.prop( 'aria-pressed' ) )
+		).toEqual( [ true, false, true ] );
+	} );
+
+	test( 'should show the hovered values instead of the totals', () => {
+		const legend = mount(
+			<Legend
+				colorScheme={ colorScheme }
+				data={ products }
+				hoveredValues={ { Cap: 1200, Polo: null } }
+			/>
+		);
+
+		expect( legend.find( '.woocommerce-legend__item-total' ).map( node => node.text() ) ).toEqual( [
+			'1,200',
+			'',
+			'',
+		] );
+		legend.setProps( { hoveredValues: null } );
+		expect(
+			legend
+				.find( '.woocommerce-legend__item-total' )
+				.first()
+				.text()
+		).toEqual( '100' );
+	} );
+
+	test( 'should filter the items', () => {
+		const legend = mount( <Legend colorScheme={ colorScheme } data={ products } filterable /> );
+		legend.find( 'input' ).simulate( 'change', { target: { value: 'o' } } );
+
+		expect( legend.find( '.woocommerce-legend__item-title' ).map( node => node.text() ) ).toEqual( [
+			'Polo',
+			'Hoodie',
+		] );
+	} );
+
+	test( 'should keep the ids of the items while filtering', () => {
+		const legend = mount( <Legend colorScheme={ colorScheme } data={ products } filterable /> );
+		const getIds = () =>
+			legend.find( '.woocommerce-legend__item-toggle' ).map( node => node.prop( 'id' ) );
+		const ids = getIds();
+		legend.find( 'input' ).simulate( 'change', { target: { value: 'o' } } );
+
+		expect( getIds() ).toEqual( [ ids[ 1 ], ids[ 2 ] ] );
+	} );
+
+	test( 'should select a single item, all items or all but one', () => {
+		const handleLegendSelect = jest.fn();
+		const legend = mount(
+			<Legend
+				colorScheme={ colorScheme }
+				data={ products }
+				handleLegendSelect={ handleLegendSelect }
+			/>
+		);
+
+		legend
+			.find( '.woocommerce-legend__item-only' )
+			.at( 1 )
+			.simulate( 'click' );
+		legend.find( '.woocommerce-legend__select-all' ).simulate( 'click' );
+		legend.find( '.woocommerce-legend__select-none' ).simulate( 'click' );
+		expect( handleLegendSelect.mock.calls.map( call => call[ 1 ] ) ).toEqual( [
+			[ 'Polo' ],
+			[ 'Cap', 'Polo', 'Hoodie' ],
+			[ 'Cap' ],
+		] );
+	} );
 } );
@@ -0,0 +1,62 @@
+/**
+ * External dependencies
+ *
+ * @format
+ */
+import { mount } from 'enzyme';
+
+/**
+ * Internal dependencies
+ */
+import Tooltip from '../tooltip';
+
+const rows = [
+	{
+		key: '<b>Cap</b>',
+		label: '<b>Cap</b>',
+		color: '#ff0000',
+		value: 100,
+		formattedValue: '100',
+		change: '+25%',
+	},
+	{
+		key: 'Polo',
+		label: 'Polo',
+		color: '#0000ff',
+		value: null,
+		formattedValue: 'No data',
+		change: null,
+	},
+];
+
+describe( 'Tooltip', () => {
+	test( 'should render a row for each category', () => {
+		const tooltip = mount( <Tooltip rows={ rows } title="May 30, 2018" /> );
+
+		expect( tooltip.find( 'h4' ).text() ).toEqual( 'May 30, 2018' );
+		expect( tooltip.find( '.key-row' ) ).toHaveLength( 2 );
+		expect( tooltip.find( '.key-change' ) ).toHaveLength( 1 );
+	} );
+
+	test( 'should escape the category labels', () => {
+		const tooltip = mount( <Tooltip rows={ rows } title="May 30, 2018" /> );
+
+		expect(
+			tooltip
+				.find( '.key-key' )
+				.first()
+				.text()
+		).toEqual( '<b>Cap</b>' );
+		expect( tooltip.find( 'b' ) ).toHaveLength( 0 );
+	} );
+
+	test( 'should render the other and total rows', () => {
+		const other = { label: 'Other', value: 5, formattedValue: '5', highlighted: true };
+		const total = { label: 'Total', value: 105, formattedValue: '105' };
+		const tooltip = mount( <Tooltip rows={ rows } other={ other } total={ total } /> );
+
+		expect( tooltip.find( '.key-row' ) ).toHaveLength( 4 );
+		expect( tooltip.find( '.is-other' ).hasClass( 'is-highlighted' ) ).toBe( true );
+		expect( tooltip.find( '.is-total .key-value' ).text() ).toEqual( '105' );
+	} );
+} );
@@ -4,6 +4,8 @@
  * @format
  */
 // import { noop } from 'lodash';
+import { range as d3Range } from 'd3-array';
+import { select as d3Select } from 'd3-selection';
 import { utcParse as d3UTCParse } from 'd3-time-format';
 
 /**
@@ -12,17 +14,42 @@ import { utcParse as d3UTCParse } from 'd3-time-format';
 import dummyOrders from './fixtures/dummy';
 import {
 	compareStrings,
+	getArea,
+	getColor,
+	getComparisonData,
+	getChartSummary,
+	getComparisonOrderedKeys,
+	getDataTable,
+	getDateParser,
 	getDateSpaces,
+	getFirstDatePerMonth,
+	getHoveredValues,
 	getOrderedKeys,
+	getLine,
 	getLineData,
+	getPivotedData,
+	getStackedLineData,
+	getTooltipData,
 	getUniqueKeys,
+	getValue,
 	getUniqueDates,
 	getXScale,
 	getXGroupScale,
+	getXData,
+	getXFormatter,
 	getXLineScale,
+	getXParser,
+	getXTicks,
+	getYDomain,
+	getYGrids,
 	getYMax,
+	getYMin,
 	getYScale,
 	getYTickOffset,
+	getZoomedData,
+	isLineType,
+	isStackedType,
+	selectOrAppend,
 } from '../utils';
 
 const orderedKeys = [
@@ -65,6 +92,14 @@ const orderedDates = [
 	'2018-06-03T00:00:00',
 	'2018-06-04T00:00:00',
 ];
+const getTestLineData = values => [
+	{
+		key: 'Net',
+		focus: true,
+		visible: true,
+		values: values.map( ( value, i ) => ( { date: orderedDates[ i ], value } ) ),
+	},
+];
 const parseDate = d3UTCParse( '%Y-%m-%dT%H:%M:%S' );
 const testUniqueKeys = getUniqueKeys( dummyOrders );
 const testOrderedKeys = getOrderedKeys( dummyOrders, testUniqueKeys );
@@ -83,6 +118,68 @@ describe( 'parseDate', () => {
 	} );
 } );
 
+describe( 'getDateParser', () => {
+	it( 'parses dates in local time by default', () => {
+		const testDate = getDateParser( '%Y-%m-%dT%H:%M:%S' )( '2018-06-30T00:00:00' );
+		expect( testDate.getTime() ).toEqual( new Date( 2018, 5, 30 ).getTime() );
+	} );
+
+	it( 'parses dates in UTC when utc is set', () => {
+		const testDate = getDateParser( '%Y-%m-%dT%H:%M:%S', true )( '2018-06-30T00:00:00' );
+		expect( testDate.getTime() ).toEqual( Date.UTC( 2018, 5, 30 ) );
+	} );
+
+	it( 'passes dates through and falls back to the Date constructor', () => {
+		const testParser = getDateParser( '%Y-%m-%dT%H:%M:%S', true );
+		const testDate = new Date( Date.UTC( 2018, 5, 30 ) );
+		expect( testParser( testDate ) ).toBe( testDate );
+		expect( testParser( '2018-06-30T00:00:00Z' ).getTime() ).toEqual( testDate.getTime() );
+	} );
+} );
+
+describe( 'getPivotedData', () => {
+	it( 'pivots long format rows into one item per date', () => {
+		const testRows = [
+			{ date: orderedDates[ 0 ], series: 'Cap', value: 10, label: 'Launch' },
+			{ date: orderedDates[ 0 ], series: 'Polo', value: 5 },
+			{ date: orderedDates[ 1 ], series: 'Cap', value: 12 },
+		];
+		expect( getPivotedData( testRows, 'date', 'series', 'value', 'label' ) ).toEqual( [
+			{ date: orderedDates[ 0 ], Cap: { value: 10, label: 'Launch' }, Polo: { value: 5 } },
+			{ date: orderedDates[ 1 ], Cap: { value: 12 } },
+		] );
+	} );
+
+	it( 'reads the rows with accessor functions', () => {
+		const testRows = [ { day: new Date( 2018, 5, 30 ), product: { name: 'Cap' }, sales: 10 } ];
+		expect(
+			getPivotedData(
+				testRows,
+				d => d.day,
+				d => d.product.name,
+				d => d.sales * 2,
+				'label'
+			)
+		).toEqual( [ { date: testRows[ 0 ].day, Cap: { value: 20 } } ] );
+	} );
+} );
+
+describe( 'getZoomedData', () => {
+	it( 'keeps the items within the zoomed range', () => {
+		const testData = orderedDates.map( date => ( { date } ) );
+		const testZoom = [ orderedDates[ 1 ], orderedDates[ 3 ] ];
+		expect( getZoomedData( testData, testZoom, parseDate ) ).toEqual( testData.slice( 1, 4 ) );
+		expect( getZoomedData( testData, null, parseDate ) ).toBe( testData );
+	} );
+
+	it( 'follows the order of the data on a band x-axis', () => {
+		const testData = [ { date: 'Shoes' }, { date: 'Hats' }, { date: 'Bags' }, { date: 'Coats' } ];
+		expect( getZoomedData( testData, [ 'Hats', 'Bags' ], d => d, 'band' ) ).toEqual(
+			testData.slice( 1, 3 )
+		);
+	} );
+} );
+
 describe( 'getUniqueKeys', () => {
 	it( 'returns an array of keys excluding date', () => {
 		// sort is a mutating action so we need a copy
@@ -96,9 +193,80 @@ describe( 'getOrderedKeys', () => {
 	it( 'returns an array of keys order by value from largest to smallest', () => {
 		expect( testOrderedKeys ).toEqual( orderedKeys );
 	} );
+
+	const testData = [
+		{ date: orderedDates[ 0 ], Cap: { value: 10 }, Polo: { value: 1 }, Hoodie: { value: null } },
+		{ date: orderedDates[ 1 ], Cap: { value: 2 }, Polo: { value: 9 } },
+	];
+	const getTotals = aggregate =>
+		getOrderedKeys( testData, [ 'Cap', 'Polo', 'Hoodie' ], aggregate ).map( row => [
+			row.key,
+			row.total,
+		] );
+
+	it( 'orders the keys by an aggregate of their values, keys without values last', () => {
+		expect( getTotals( 'average' ) ).toEqual( [
+			[ 'Cap', 6 ],
+			[ 'Polo', 5 ],
+			[ 'Hoodie', null ],
+		] );
+		expect( getTotals( 'last' ) ).toEqual( [
+			[ 'Polo', 9 ],
+			[ 'Cap', 2 ],
+			[ 'Hoodie', null ],
+		] );
+		expect( getTotals( 'max' ) ).toEqual( [
+			[ 'Cap', 10 ],
+			[ 'Polo', 9 ],
+			[ 'Hoodie', null ],
+		] );
+		expect( getTotals( 'min' ) ).toEqual( [
+			[ 'Cap', 2 ],
+			[ 'Polo', 1 ],
+			[ 'Hoodie', null ],
+		] );
+		expect( getTotals( 'sum' ) ).toEqual( [
+			[ 'Cap', 12 ],
+			[ 'Polo', 10 ],
+			[ 'Hoodie', 0 ],
+		] );
+	} );
+
+	it( 'orders the keys by a custom aggregate', () => {
+		const count = jest.fn( values => values.length );
+		expect( getTotals( count ) ).toEqual( [
+			[ 'Cap', 2 ],
+			[ 'Polo', 2 ],
+			[ 'Hoodie', 0 ],
+		] );
+		expect( count ).toHaveBeenCalledWith( [ 10, 2 ], 'Cap' );
+	} );
+} );
+
+describe( 'getValue', () => {
+	it( 'returns the value of a category', () => {
+		expect( getValue( dummyOrders[ 0 ], 'Cap' ) ).toEqual( 10604510 );
+	} );
+
+	it( 'returns null or zero for a missing value', () => {
+		expect( getValue( { Cap: { value: null } }, 'Cap' ) ).toBeNull();
+		expect( getValue( {}, 'Cap', 'interpolate' ) ).toBeNull();
+		expect( getValue( {}, 'Cap', 'zero' ) ).toEqual( 0 );
+	} );
 } );
 
 describe( 'getLineData', () => {
+	it( 'keeps missing values as null unless they are plotted as zero', () => {
+		const testMissingData = [
+			{ date: orderedDates[ 0 ], Cap: { value: 10 } },
+			{ date: orderedDates[ 1 ] },
+		];
+		expect( getLineData( testMissingData, orderedKeys )[ 0 ].values[ 1 ].value ).toBeNull();
+		expect( getLineData( testMissingData, orderedKeys, 'zero' )[ 0 ].values[ 1 ].value ).toEqual(
+			0
+		);
+	} );
+
 	it( 'returns a sorted array of objects with category key', () => {
 		expect( testLineData ).toBeInstanceOf( Array );
 		expect( testLineData ).toHaveLength( 5 );
@@ -129,6 +297,335 @@ describe( 'getLineData', () => {
 	} );
 } );
 
+describe( 'getComparisonData', () => {
+	const previousData = [
+		{ date: '2017-05-30T00:00:00', Cap: { value: 100 } },
+		{ date: '2017-05-31T00:00:00', Cap: { value: 200 } },
+	];
+
+	it( 'aligns both periods by index on the dates of the current period', () => {
+		const testComparisonData = getComparisonData( dummyOrders, previousData, 'Previous' );
+		expect( testComparisonData ).toHaveLength( dummyOrders.length );
+		expect( testComparisonData[ 1 ].date ).toEqual( '2018-05-31T00:00:00' );
+		expect( testComparisonData[ 1 ].Cap ).toEqual( {
+			value: 7017731,
+			labelDate: '2018-05-31T00:00:00',
+		} );
+		expect( testComparisonData[ 1 ][ 'Cap (Previous)' ] ).toEqual( {
+			value: 200,
+			labelDate: '2017-05-31T00:00:00',
+		} );
+		expect( testComparisonData[ 2 ] ).not.toHaveProperty( 'Cap (Previous)' );
+	} );
+} );
+
+describe( 'getComparisonOrderedKeys', () => {
+	it( 'follows each key with its key in the previous period', () => {
+		const previousData = [ { date: '2017-05-30T00:00:00', Cap: { value: 100 } } ];
+		const testComparisonOrderedKeys = getComparisonOrderedKeys(
+			orderedKeys.slice( 0, 2 ),
+			previousData,
+			'Previous'
+		);
+		expect( testComparisonOrderedKeys.map( d => d.key ) ).toEqual( [
+			'Cap',
+			'Cap (Previous)',
+			'T-Shirt',
+			'T-Shirt (Previous)',
+		] );
+		expect( testComparisonOrderedKeys[ 1 ] ).toMatchObject( {
+			currentKey: 'Cap',
+			previous: true,
+			total: 100,
+		} );
+		expect( testComparisonOrderedKeys[ 3 ].total ).toEqual( 0 );
+	} );
+} );
+
+describe( 'getColor', () => {
+	it( 'uses the same color for a key in both periods', () => {
+		const colorScheme = jest.fn( value => value );
+		const testComparisonOrderedKeys = getComparisonOrderedKeys( orderedKeys, [], 'Previous' );
+		const params = { colorScheme, orderedKeys: testComparisonOrderedKeys };
+		expect( getColor( 'Cap', params ) ).toEqual( 0 );
+		expect( getColor( 'Cap (Previous)', params ) ).toEqual( 0 );
+		expect( getColor( 'Hoodie (Previous)', params ) ).toEqual( 1 );
+	} );
+} );
+
+describe( 'getTooltipData', () => {
+	it( 'describes a row for each visible key', () => {
+		const params = {
+			colorScheme: value => value,
+			missingData: 'gap',
+			noDataLabel: 'No data',
+			orderedKeys: [ ...orderedKeys.slice( 0, 2 ), { ...orderedKeys[ 2 ], visible: false } ],
+			parseDate,
+			tooltipLabelFormat: date => date.toISOString(),
+			tooltipValueFormat: value => `${ value } sold`,
+		};
+		const testItem = { date: orderedDates[ 0 ], Cap: { value: 10 } };
+		expect( getTooltipData( testItem, params ) ).toEqual( {
+			date: orderedDates[ 0 ],
+			title: '2018-05-30T00:00:00.000Z',
+			rows: [
+				{
+					key: 'Cap',
+					label: 'Cap',
+					color: 0.2,
+					value: 10,
+					formattedValue: '10 sold',
+					change: null,
+					highlighted: false,
+				},
+				{
+					key: 'T-Shirt',
+					label: 'T-Shirt',
+					color: 0.5,
+					value: null,
+					formattedValue: 'No data',
+					change: null,
+					highlighted: false,
+				},
+			],
+			other: null,
+			total: null,
+		} );
+	} );
+
+	const testTooltipParams = {
+		colorScheme: value => value,
+		missingData: 'gap',
+		noDataLabel: 'No data',
+		orderedKeys,
+		parseDate,
+		tooltipLabelFormat: date => date.toISOString(),
+		tooltipValueFormat: value => `${ value } sold`,
+	};
+	const testTooltipItem = {
+		date: orderedDates[ 0 ],
+		Cap: { value: 10 },
+		'T-Shirt': { value: 30 },
+		Sunglasses: { value: 20 },
+		Polo: { value: 5 },
+	};
+
+	it( 'sorts the rows by value', () => {
+		const params = { ...testTooltipParams, tooltipSort: 'descending' };
+		const { rows } = getTooltipData( testTooltipItem, params );
+		expect( rows.map( row => row.key ) ).toEqual( [
+			'T-Shirt',
+			'Sunglasses',
+			'Cap',
+			'Polo',
+			'Hoodie',
+		] );
+	} );
+
+	it( 'sums up the rows beyond tooltipMaxRows', () => {
+		const params = { ...testTooltipParams, tooltipMaxRows: 2, tooltipOtherLabel: 'Other' };
+		const { other, rows } = getTooltipData( testTooltipItem, params, 'Polo' );
+		expect( rows.map( row => row.key ) ).toEqual( [ 'T-Shirt', 'Sunglasses' ] );
+		expect( other ).toEqual( {
+			label: 'Other',
+			value: 15,
+			formattedValue: '15 sold',
+			highlighted: true,
+		} );
+	} );
+
+	it( 'adds a total row and highlights the hovered key', () => {
+		const params = { ...testTooltipParams, tooltipTotalLabel: 'Total' };
+		const { rows, total } = getTooltipData( testTooltipItem, params, 'Cap' );
+		expect( rows.filter( row => row.highlighted ).map( row => row.key ) ).toEqual( [ 'Cap' ] );
+		expect( total ).toEqual( { label: 'Total', value: 65, formattedValue: '65 sold' } );
+	} );
+
+	it( 'leaves the categories of the secondary y-axis out of the other and total rows', () => {
+		const params = {
+			...testTooltipParams,
+			tooltipMaxRows: 2,
+			tooltipOtherLabel: 'Other',
+			tooltipTotalLabel: 'Total',
+			y2Format: value => `${ value } orders`,
+			y2Keys: [ 'Polo' ],
+			y2Scale: getYScale( 100, 10 ),
+		};
+		const testItem = { ...testTooltipItem, Polo: { value: 3 } };
+		const { other, rows, total } = getTooltipData( testItem, params );
+		expect( rows.map( row => [ row.key, row.formattedValue ] ) ).toEqual( [
+			[ 'T-Shirt', '30 sold' ],
+			[ 'Sunglasses', '20 sold' ],
+			[ 'Polo', '3 orders' ],
+		] );
+		expect( other ).toMatchObject( { value: 10, formattedValue: '10 sold' } );
+		expect( total ).toMatchObject( { value: 60, formattedValue: '60 sold' } );
+	} );
+
+	it( 'labels the rows of both periods with their category and date', () => {
+		const previousData = [
+			{ date: '2018-05-01T00:00:00', Cap: { value: 5 }, 'T-Shirt': { value: 8 } },
+		];
+		const testComparisonItem = getComparisonData(
+			[ { date: '2018-06-01T00:00:00', Cap: { value: 10 }, 'T-Shirt': { value: 4 } } ],
+			previousData,
+			'Previous'
+		)[ 0 ];
+		const params = {
+			...testTooltipParams,
+			orderedKeys: getComparisonOrderedKeys( orderedKeys.slice( 0, 2 ), previousData, 'Previous' ),
+			tooltipLabelFormat: date => date.toISOString().slice( 0, 10 ),
+		};
+		const { rows } = getTooltipData( testComparisonItem, params );
+		expect( rows.map( row => [ row.label, row.formattedValue, row.change ] ) ).toEqual( [
+			[ 'Cap · 2018-06-01', '10 sold', '+100%' ],
+			[ 'Cap · 2018-05-01', '5 sold', null ],
+			[ 'T-Shirt · 2018-06-01', '4 sold', '-50%' ],
+			[ 'T-Shirt · 2018-05-01', '8 sold', null ],
+		] );
+	} );
+
+	it( 'labels the rows with their own date without previousData', () => {
+		const testDatedItem = {
+			date: '2018-06-01T00:00:00',
+			'This year': { value: 10, labelDate: '2018-06-01T00:00:00' },
+			'Last year': { value: 5, labelDate: '2017-06-01T00:00:00' },
+		};
+		const params = {
+			...testTooltipParams,
+			orderedKeys: getOrderedKeys( [ testDatedItem ], [ 'This year', 'Last year' ] ),
+			tooltipLabelFormat: date => date.toISOString().slice( 0, 10 ),
+		};
+		const { rows } = getTooltipData( testDatedItem, params );
+		expect( rows.map( row => row.label ) ).toEqual( [ '2018-06-01', '2017-06-01' ] );
+	} );
+} );
+
+describe( 'getHoveredValues', () => {
+	it( 'returns the value of each key at the date of an item', () => {
+		const params = { missingData: 'gap', orderedKeys: orderedKeys.slice( 0, 3 ) };
+		const testItem = { date: orderedDates[ 0 ], Cap: { value: 10 }, 'T-Shirt': { value: 0 } };
+		expect( getHoveredValues( testItem, params ) ).toEqual( {
+			Cap: 10,
+			'T-Shirt': 0,
+			Sunglasses: null,
+		} );
+	} );
+} );
+
+describe( 'getDataTable', () => {
+	it( 'describes a row for each date and a column for each visible key', () => {
+		const params = {
+			noDataLabel: 'No data',
+			parseDate,
+			tooltipLabelFormat: date => date.toISOString().slice( 0, 10 ),
+			tooltipValueFormat: value => `${ value } sold`,
+		};
+		const lineData = [
+			...getTestLineData( [ 10, null ] ),
+			{ ...getTestLineData( [ 1, 2 ] )[ 0 ], key: 'Hidden', visible: false },
+		];
+		expect( getDataTable( lineData, params ) ).toEqual( {
+			columns: [ { key: 'Net' } ],
+			rows: [
+				{ date: orderedDates[ 0 ], label: '2018-05-30', values: [ '10 sold' ] },
+				{ date: orderedDates[ 1 ], label: '2018-05-31', values: [ 'No data' ] },
+			],
+		} );
+	} );
+
+	it( 'formats the values of the secondary y-axis with y2Format', () => {
+		const params = {
+			noDataLabel: 'No data',
+			parseDate,
+			tooltipLabelFormat: date => date.toISOString().slice( 0, 10 ),
+			tooltipValueFormat: value => `${ value } sold`,
+			y2Format: value => `${ value } orders`,
+			y2Keys: [ 'Orders' ],
+		};
+		const lineData = [
+			...getTestLineData( [ 10 ] ),
+			{ ...getTestLineData( [ 2 ] )[ 0 ], key: 'Orders' },
+		];
+		const { rows } = getDataTable( lineData, params );
+		expect( rows[ 0 ].values ).toEqual( [ '10 sold', '2 orders' ] );
+	} );
+} );
+
+describe( 'getChartSummary', () => {
+	const params = {
+		noDataLabel: 'No data',
+		parseDate,
+		summaryDatesFormat: ( from, to ) => `${ from } - ${ to }`,
+		summaryKeyFormat: d =>
+			`${ d.key } ${ d.trend } ${ d.first }-${ d.last }, max ${ d.highest } ${ d.highestDate }, ` +
+			`min ${ d.lowest } ${ d.lowestDate }`,
+		tooltipLabelFormat: date => date.toISOString().slice( 0, 10 ),
+		tooltipValueFormat: value => `${ value }`,
+	};
+
+	it( 'describes the trend, highest and lowest value of each visible key', () => {
+		expect( getChartSummary( getTestLineData( [ 10, 30, null, 5 ] ), params ) ).toEqual(
+			'2018-05-30 - 2018-06-02 Net down 10-5, max 30 2018-05-31, min 5 2018-06-02'
+		);
+	} );
+
+	it( 'formats the values of the secondary y-axis with y2Format', () => {
+		const testParams = { ...params, y2Format: value => `${ value } orders`, y2Keys: [ 'Net' ] };
+		expect( getChartSummary( getTestLineData( [ 1, 2 ] ), testParams ) ).toEqual(
+			'2018-05-30 - 2018-05-31 Net up 1 orders-2 orders, max 2 orders 2018-05-31, ' +
+				'min 1 orders 2018-05-30'
+		);
+	} );
+
+	it( 'falls back to the noDataLabel', () => {
+		expect( getChartSummary( [], params ) ).toEqual( 'No data' );
+		expect( getChartSummary( getTestLineData( [ null ] ), params ) ).toEqual(
+			'2018-05-30 - 2018-05-30 Net: No data.'
+		);
+	} );
+} );
+
+describe( 'getStackedLineData', () => {
+	it( 'stacks the values of each date in the order of the keys', () => {
+		const testStackedLineData = getStackedLineData( testLineData );
+		expect( testStackedLineData[ 0 ].values[ 0 ] ).toMatchObject( { y0: 0, y1: 10604510 } );
+		expect( testStackedLineData[ 1 ].values[ 0 ] ).toMatchObject( {
+			y0: 10604510,
+			y1: 15104400,
+		} );
+		expect( testStackedLineData[ 4 ].values[ 0 ].y1 ).toEqual( 23822828 );
+	} );
+
+	it( 'does not add hidden keys to the stack', () => {
+		const hiddenLineData = testLineData.map( ( d, i ) => ( { ...d, visible: i !== 0 } ) );
+		const testStackedLineData = getStackedLineData( hiddenLineData );
+		expect( testStackedLineData[ 0 ].values[ 0 ] ).toMatchObject( { y0: 0, y1: 0 } );
+		expect( testStackedLineData[ 1 ].values[ 0 ] ).toMatchObject( { y0: 0, y1: 4499890 } );
+	} );
+
+	it( 'stacks negative values down from zero', () => {
+		const testStackedLineData = getStackedLineData( [
+			...getTestLineData( [ 100, -50 ] ),
+			...getTestLineData( [ -20, -30 ] ),
+			...getTestLineData( [ 10, 40 ] ),
+		] );
+		expect( testStackedLineData[ 1 ].values[ 0 ] ).toMatchObject( { y0: 0, y1: -20 } );
+		expect( testStackedLineData[ 2 ].values[ 0 ] ).toMatchObject( { y0: 100, y1: 110 } );
+		expect( testStackedLineData[ 1 ].values[ 1 ] ).toMatchObject( { y0: -50, y1: -80 } );
+		expect( testStackedLineData[ 2 ].values[ 1 ] ).toMatchObject( { y0: 0, y1: 40 } );
+	} );
+
+	it( 'stacks the keys of the secondary y-axis separately', () => {
+		const testStackedLineData = getStackedLineData( testLineData, [ 'T-Shirt' ] );
+		expect( testStackedLineData[ 1 ].values[ 0 ] ).toMatchObject( { y0: 0, y1: 4499890 } );
+		expect( testStackedLineData[ 2 ].values[ 0 ] ).toMatchObject( {
+			y0: 10604510,
+			y1: 14458298,
+		} );
+	} );
+} );
+
 describe( 'getXScale', () => {
 	it( 'properly scale inputs to the provided domain and range', () => {
 		expect( testXScale( orderedDates[ 0 ] ) ).toEqual( 3 );
@@ -155,12 +652,209 @@ describe( 'getXLineScale', () => {
 		expect( testXLineScale( new Date( orderedDates[ 2 ] ) ) ).toEqual( 40 );
 		expect( testXLineScale( new Date( orderedDates[ orderedDates.length - 1 ] ) ) ).toEqual( 100 );
 	} );
+
+	it( 'scales numbers along a linear x-axis', () => {
+		const testLinearScale = getXLineScale( [ 0, 6, 23 ], 230, Number, false, 'linear' );
+		expect( testLinearScale( 6 ) ).toEqual( 60 );
+		expect( testLinearScale( 23 ) ).toEqual( 230 );
+	} );
+
+	it( 'places categories at evenly spaced points along a band x-axis', () => {
+		const testPointScale = getXLineScale(
+			[ 'Hats', 'Shirts', 'Shoes' ],
+			100,
+			d => d,
+			false,
+			'band'
+		);
+		expect( testPointScale( 'Hats' ) ).toEqual( 0 );
+		expect( testPointScale( 'Shirts' ) ).toEqual( 50 );
+		expect( testPointScale( 'Shoes' ) ).toEqual( 100 );
+	} );
+} );
+
+describe( 'getXData', () => {
+	it( 'moves the x value of each item from xKey to date', () => {
+		const testData = [ { category: 'Hats', Sales: { value: 10 } } ];
+		expect( getXData( testData, 'category' ) ).toEqual( [
+			{ date: 'Hats', Sales: { value: 10 } },
+		] );
+		expect( getXData( testData, 'date' ) ).toBe( testData );
+	} );
+} );
+
+describe( 'getXParser', () => {
+	it( 'parses dates, numbers or keeps categories depending on the x type', () => {
+		expect( getXParser( '%Y-%m-%dT%H:%M:%S', true )( '2018-06-30T00:00:00' ).getTime() ).toEqual(
+			Date.UTC( 2018, 5, 30 )
+		);
+		expect( getXParser( '%Y-%m-%dT%H:%M:%S', false, 'linear' )( '23' ) ).toEqual( 23 );
+		expect( getXParser( '%Y-%m-%dT%H:%M:%S', false, 'band' )( 'Hats' ) ).toEqual( 'Hats' );
+	} );
+} );
+
+describe( 'getXFormatter', () => {
+	it( 'only applies format strings to time x values', () => {
+		const testDate = new Date( 2018, 5, 30 );
+		expect( getXFormatter( '%Y-%m-%d' )( testDate ) ).toEqual( '2018-06-30' );
+		expect( getXFormatter( '%Y-%m-%d', false, 'linear' )( 23 ) ).toEqual( '23' );
+		expect( getXFormatter( d => `${ d }:00`, false, 'linear' )( 23 ) ).toEqual( '23:00' );
+	} );
+} );
+
+describe( 'getXTicks', () => {
+	it( 'only reduces dates to the first date of each month', () => {
+		const testHours = d3Range( 0, 70 );
+		expect(
+			getXTicks( testHours, 600, 'item-comparison', 'day', Number, false, 'linear' )
+		).toEqual( [ 0, 23, 46, 69 ] );
+	} );
+} );
+
+describe( 'getFirstDatePerMonth', () => {
+	it( 'keeps the first date of each UTC month when utc is set', () => {
+		const utcParseDate = getDateParser( '%Y-%m-%dT%H:%M:%S', true );
+		expect( getFirstDatePerMonth( orderedDates, utcParseDate, true ) ).toEqual( [
+			orderedDates[ 0 ],
+			orderedDates[ 2 ],
+		] );
+	} );
 } );
 
 describe( 'getYMax', () => {
 	it( 'calculate the correct maximum y value', () => {
 		expect( testYMax ).toEqual( 15000000 );
 	} );
+
+	it( 'calculate the maximum y value from the stacked totals', () => {
+		expect( getYMax( getStackedLineData( testLineData ) ) ).toEqual( 33000000 );
+	} );
+
+	it( 'calculate the maximum y value as a multiple of the step of larger negative values', () => {
+		expect( getYMax( getTestLineData( [ 100, -300 ] ) ) ).toEqual( 140 );
+		expect( getYMax( getTestLineData( [ -10, -100 ] ) ) ).toEqual( 0 );
+	} );
+
+	it( 'calculate the maximum y value for a given number of gridlines', () => {
+		expect( getYMax( getTestLineData( [ 100, -300 ] ), 5 ) ).toEqual( 105 );
+	} );
+} );
+
+describe( 'getYMin', () => {
+	it( 'return zero when there are no negative values', () => {
+		expect( getYMin( testLineData ) ).toEqual( 0 );
+	} );
+
+	it( 'calculate the minimum y value when there are negative values', () => {
+		expect( getYMin( getTestLineData( [ 100, -50 ] ) ) ).toEqual( -50 );
+		expect( getYMin( getTestLineData( [ 100, -300 ] ) ) ).toEqual( -420 );
+		expect( getYMin( getTestLineData( [ -10, -100 ] ) ) ).toEqual( -150 );
+	} );
+} );
+
+describe( 'getYGrids', () => {
+	it( 'return four gridlines from zero to the maximum y value', () => {
+		expect( getYGrids( 0, testYMax ) ).toEqual( [ 0, 5000000, 10000000, 15000000 ] );
+	} );
+
+	it( 'return gridlines below zero', () => {
+		expect( getYGrids( -50, 150 ) ).toEqual( [ -50, 0, 50, 100, 150 ] );
+		expect( getYGrids( -420, 140 ) ).toEqual( [ -420, -280, -140, 0, 140 ] );
+	} );
+
+	it( 'return the given number of gridlines', () => {
+		expect( getYGrids( 0, 150, 6 ) ).toEqual( [ 0, 30, 60, 90, 120, 150 ] );
+	} );
+
+	it( 'only return gridlines within the domain', () => {
+		expect( getYGrids( -20, 90 ) ).toEqual( [ 0, 30, 60, 90 ] );
+	} );
+
+	it( 'divide a domain without zero from its minimum', () => {
+		expect( getYGrids( 40, 100 ) ).toEqual( [ 40, 60, 80, 100 ] );
+		expect( getYGrids( -100, -40 ) ).toEqual( [ -100, -80, -60, -40 ] );
+	} );
+
+	it( 'return powers of ten for logarithmic scales', () => {
+		expect( getYGrids( 10, 1000000, 4, false, 'log' ) ).toEqual( [
+			10,
+			100,
+			1000,
+			10000,
+			100000,
+			1000000,
+		] );
+		expect( getYGrids( 1, 10000000000, 2, false, 'log' ) ).toEqual( [
+			1,
+			1000,
+			1000000,
+			1000000000,
+		] );
+		expect( getYGrids( -100, 1000, 4, false, 'symlog' ) ).toEqual( [
+			-100,
+			-10,
+			-1,
+			0,
+			1,
+			10,
+			100,
+			1000,
+		] );
+	} );
+
+	it( 'return round gridlines', () => {
+		expect( getYGrids( 0, 150000, 4, true ) ).toEqual( [ 0, 50000, 100000, 150000 ] );
+		expect( getYGrids( 0, 1, 4, true ) ).toEqual( [ 0, 0.5, 1 ] );
+	} );
+} );
+
+describe( 'getYDomain', () => {
+	it( 'return the domain from getYMin and getYMax', () => {
+		expect( getYDomain( testLineData ) ).toEqual( [ 0, testYMax ] );
+		expect( getYDomain( getTestLineData( [ 100, -300 ] ) ) ).toEqual( [ -420, 140 ] );
+	} );
+
+	it( 'return the fixed bounds of the yDomain prop', () => {
+		expect( getYDomain( testLineData, [ 0, 20000000 ] ) ).toEqual( [ 0, 20000000 ] );
+		expect( getYDomain( testLineData, [ null, 20000000 ] ) ).toEqual( [ 0, 20000000 ] );
+		expect( getYDomain( getTestLineData( [ 100, -300 ] ), [ null, 200 ] ) ).toEqual( [
+			-420,
+			200,
+		] );
+	} );
+
+	it( 'extend the domain to round values', () => {
+		expect( getYDomain( testLineData, [], 4, true ) ).toEqual( [ 0, 15000000 ] );
+		expect( getYDomain( getTestLineData( [ 89000, 12000 ] ), [], 4, true ) ).toEqual( [
+			0,
+			100000,
+		] );
+		expect( getYDomain( getTestLineData( [ 100, -280 ] ), [], 4, true ) ).toEqual( [ -300, 100 ] );
+	} );
+
+	it( 'extend the domain of logarithmic scales to powers of ten', () => {
+		const testLogLineData = getTestLineData( [ 0, 25, 4200, 180000 ] );
+		expect( getYDomain( testLogLineData, [], 4, false, 'log' ) ).toEqual( [ 10, 1000000 ] );
+		expect( getYDomain( testLogLineData, [], 4, false, 'symlog' ) ).toEqual( [ 0, 1000000 ] );
+		expect( getYDomain( getTestLineData( [ -25, 1000 ] ), [], 4, false, 'symlog' ) ).toEqual( [
+			-100,
+			1000,
+		] );
+	} );
+
+	it( 'falls back to a domain from zero when every value is missing or zero', () => {
+		expect( getYDomain( getTestLineData( [ null, null ] ) ) ).toEqual( [ 0, 3 ] );
+		expect( getYDomain( getTestLineData( [ null, null ] ), [], 5, true ) ).toEqual( [ 0, 4 ] );
+		expect( getYDomain( getTestLineData( [ 0, null ] ), [], 4, false, 'symlog' ) ).toEqual( [
+			0,
+			3,
+		] );
+		expect( getYDomain( getTestLineData( [ null, null ] ), [ null, 100 ] ) ).toEqual( [ 0, 100 ] );
+		expect( getYDomain( getTestLineData( [ null, null ] ), [], 4, false, 'log' ) ).toEqual( [
+			1,
+			10,
+		] );
+	} );
 } );
 
 describe( 'getYScale', () => {
@@ -168,6 +862,21 @@ describe( 'getYScale', () => {
 		expect( testYScale( 0 ) ).toEqual( 100 );
 		expect( testYScale( testYMax ) ).toEqual( 0 );
 	} );
+
+	it( 'properly scale the y values given a minimum y value below zero', () => {
+		const testNegativeYScale = getYScale( 100, 150, -50 );
+		expect( testNegativeYScale( -50 ) ).toEqual( 100 );
+		expect( testNegativeYScale( 0 ) ).toEqual( 75 );
+		expect( testNegativeYScale( 150 ) ).toEqual( 0 );
+	} );
+
+	it( 'properly scale the y values of a log scale, plotting zero at the bottom', () => {
+		const testLogYScale = getYScale( 100, 1000, 10, 'log' );
+		expect( testLogYScale( 0 ) ).toEqual( 100 );
+		expect( testLogYScale( 10 ) ).toEqual( 100 );
+		expect( testLogYScale( 100 ) ).toEqual( 50 );
+		expect( testLogYScale( 1000 ) ).toEqual( 0 );
+	} );
 } );
 
 describe( 'getYTickOffset', () => {
@@ -178,6 +887,58 @@ describe( 'getYTickOffset', () => {
 	} );
 } );
 
+describe( 'getLine', () => {
+	it( 'leaves gaps for null values', () => {
+		const testLine = getLine( testXLineScale, testYScale );
+		const testValues = getTestLineData( [ 1000000, null, 2000000 ] )[ 0 ].values;
+		expect( testLine( testValues ) ).toEqual( 'M0,93ZM40,87Z' );
+	} );
+
+	it( 'interpolates between points with the given curve', () => {
+		const testValues = getTestLineData( [ 1000000, 2000000 ] )[ 0 ].values;
+		expect( getLine( testXLineScale, testYScale )( testValues ) ).toEqual( 'M0,93L20,87' );
+		expect( getLine( testXLineScale, testYScale, 'stepAfter' )( testValues ) ).toEqual(
+			'M0,93L20,93L20,87'
+		);
+	} );
+} );
+
+describe( 'getArea', () => {
+	it( 'fills an area down to zero', () => {
+		const testArea = getArea( testXLineScale, testYScale );
+		expect( testArea.y0()( testLineData[ 0 ].values[ 0 ] ) ).toEqual( 100 );
+		expect( testArea.y1()( testLineData[ 0 ].values[ 0 ] ) ).toEqual(
+			testYScale( testLineData[ 0 ].values[ 0 ].value )
+		);
+	} );
+
+	it( 'fills an area between the stacked bounds', () => {
+		const testArea = getArea( testXLineScale, testYScale );
+		const value = getStackedLineData( testLineData )[ 1 ].values[ 0 ];
+		expect( testArea.y0()( value ) ).toEqual( testYScale( value.y0 ) );
+		expect( testArea.y1()( value ) ).toEqual( testYScale( value.y1 ) );
+	} );
+} );
+
+describe( 'isLineType', () => {
+	it( 'returns true for types plotted along the time scale', () => {
+		expect( isLineType( 'line' ) ).toBe( true );
+		expect( isLineType( 'area' ) ).toBe( true );
+		expect( isLineType( 'stacked-area' ) ).toBe( true );
+		expect( isLineType( 'bar' ) ).toBe( false );
+		expect( isLineType( 'stacked-bar' ) ).toBe( false );
+	} );
+} );
+
+describe( 'isStackedType', () => {
+	it( 'returns true for stacked types', () => {
+		expect( isStackedType( 'stacked-area' ) ).toBe( true );
+		expect( isStackedType( 'stacked-bar' ) ).toBe( true );
+		expect( isStackedType( 'area' ) ).toBe( false );
+		expect( isStackedType( 'bar' ) ).toBe( false );
+	} );
+} );
+
 describe( 'getdateSpaces', () => {
 	it( 'return an array used to space out the mouseover rectangles, used for tooltips', () => {
 		const testDateSpaces = getDateSpaces( dummyOrders, testUniqueDates, 100, testXLineScale );
@@ -200,3 +961,29 @@ describe( 'compareStrings', () => {
 		expect( compareStrings( 'Jul 2017', 'Jul 2018' ).join( ' ' ) ).toEqual( '2018' );
 	} );
 } );
+
+describe( 'selectOrAppend', () => {
+	it( 'appends an element the first time and selects it the next times', () => {
+		const node = d3Select( document.createElementNS( 'http://www.w3.org/2000/svg', 'g' ) );
+		const first = selectOrAppend( node, 'g', 'axis y-axis' );
+		expect( first.attr( 'class' ) ).toEqual( 'axis y-axis' );
+		expect( selectOrAppend( node, 'g', 'axis y-axis' ).node() ).toBe( first.node() );
+		expect( node.selectAll( 'g' ).size() ).toEqual( 1 );
+	} );
+
+	it( 'selects the element with a selector', () => {
+		const node = d3Select( document.createElementNS( 'http://www.w3.org/2000/svg', 'g' ) );
+		const y2Axis = selectOrAppend( node, 'g', 'axis y-axis y2-axis' );
+		const yAxis = selectOrAppend( node, 'g', 'axis y-axis', '.y-axis:not(.y2-axis)' );
+		expect( yAxis.node() ).not.toBe( y2Axis.node() );
+		expect( selectOrAppend( node, 'g', 'axis y-axis', '.y-axis:not(.y2-axis)' ).node() ).toBe(
+			yAxis.node()
+		);
+	} );
+
+	it( 'appends a new element in place of an exiting one', () => {
+		const node = d3Select( document.createElementNS( 'http://www.w3.org/2000/svg', 'g' ) );
+		const exiting = selectOrAppend( node, 'g', 'bars' ).classed( 'is-exiting', true );
+		expect( selectOrAppend( node, 'g', 'bars' ).node() ).not.toBe( exiting.node() );
+	} );
+} );
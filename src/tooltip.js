@@ -0,0 +1,103 @@
+/** @format */
+/**
+ * External dependencies
+ */
+import classNames from 'classnames';
+import { Component } from '@wordpress/element';
+import PropTypes from 'prop-types';
+
+/**
+ * The default content of the chart tooltip, listing the value of each category at the hovered date.
+ */
+class D3Tooltip extends Component {
+	render() {
+		const { other, rows, title, total } = this.props;
+
+		return (
+			<div>
+				<h4>{ title }</h4>
+				<ul>
+					{ rows.map( row => (
+						<li
+							className={ classNames( 'key-row', { 'is-highlighted': row.highlighted } ) }
+							key={ row.key }
+						>
+							<div className="key-container">
+								<span className="key-color" style={ { backgroundColor: row.color } } />
+								<span className="key-key">{ row.label }</span>
+							</div>
+							<span className="key-value">{ row.formattedValue }</span>
+							{ row.change && <span className="key-change">{ row.change }</span> }
+						</li>
+					) ) }
+					{ other && (
+						<li
+							className={ classNames( 'key-row', 'is-other', {
+								'is-highlighted': other.highlighted,
+							} ) }
+						>
+							<div className="key-container">
+								<span className="key-key">{ other.label }</span>
+							</div>
+							<span className="key-value">{ other.formattedValue }</span>
+						</li>
+					) }
+					{ total && (
+						<li className="key-row is-total">
+							<div className="key-container">
+								<span className="key-key">{ total.label }</span>
+							</div>
+							<span className="key-value">{ total.formattedValue }</span>
+						</li>
+					) }
+				</ul>
+			</div>
+		);
+	}
+}
+
+D3Tooltip.propTypes = {
+	/**
+	 * The hovered date.
+	 */
+	date: PropTypes.any,
+	/**
+	 * The sum of the categories left out of `rows`, with its `label`, `value`, `formattedValue` and whether
+	 * it is `highlighted`.
+	 */
+	other: PropTypes.shape( {
+		formattedValue: PropTypes.string,
+		highlighted: PropTypes.bool,
+		label: PropTypes.string,
+		value: PropTypes.number,
+	} ),
+	/**
+	 * The visible categories, each with its `key`, `label`, `color`, `value`, `formattedValue`, the
+	 * percent `change` from the previous period and whether it is `highlighted` under the cursor.
+	 */
+	rows: PropTypes.arrayOf(
+		PropTypes.shape( {
+			change: PropTypes.string,
+			color: PropTypes.string,
+			formattedValue: PropTypes.string,
+			highlighted: PropTypes.bool,
+			key: PropTypes.string,
+			label: PropTypes.string,
+			value: PropTypes.number,
+		} )
+	).isRequired,
+	/**
+	 * The formatted date or the chart's `tooltipTitle`.
+	 */
+	title: PropTypes.string,
+	/**
+	 * The total of the current period with its `label`, `value` and `formattedValue`.
+	 */
+	total: PropTypes.shape( {
+		formattedValue: PropTypes.string,
+		label: PropTypes.string,
+		value: PropTypes.number,
+	} ),
+};
+
+export default D3Tooltip;
@@ -3,17 +3,41 @@
 /**
  * External dependencies
  */
-import { find, findIndex, get } from 'lodash';
-import { max as d3Max } from 'd3-array';
-import { axisBottom as d3AxisBottom, axisLeft as d3AxisLeft } from 'd3-axis';
+import { clamp, find, findIndex, get, includes, isNil, maxBy, minBy, some } from 'lodash';
+import { max as d3Max, min as d3Min, range as d3Range } from 'd3-array';
+import {
+	axisBottom as d3AxisBottom,
+	axisLeft as d3AxisLeft,
+	axisRight as d3AxisRight,
+} from 'd3-axis';
 import { format as d3Format } from 'd3-format';
 import {
 	scaleBand as d3ScaleBand,
 	scaleLinear as d3ScaleLinear,
+	scaleLog as d3ScaleLog,
+	scalePoint as d3ScalePoint,
+	scaleSymlog as d3ScaleSymlog,
 	scaleTime as d3ScaleTime,
+	scaleUtc as d3ScaleUtc,
 } from 'd3-scale';
-import { event as d3Event, select as d3Select } from 'd3-selection';
-import { line as d3Line } from 'd3-shape';
+import { event as d3Event, mouse as d3Mouse, select as d3Select } from 'd3-selection';
+import 'd3-transition';
+import {
+	timeFormat as d3TimeFormat,
+	timeParse as d3TimeParse,
+	utcFormat as d3UTCFormat,
+	utcParse as d3UTCParse,
+} from 'd3-time-format';
+import {
+	area as d3Area,
+	curveBasis as d3CurveBasis,
+	curveLinear as d3CurveLinear,
+	curveMonotoneX as d3CurveMonotoneX,
+	curveStep as d3CurveStep,
+	curveStepAfter as d3CurveStepAfter,
+	curveStepBefore as d3CurveStepBefore,
+	line as d3Line,
+} from 'd3-shape';
 
 const dayTicksThreshold = 63;
 const weekTicksThreshold = 9;
@@ -24,6 +48,23 @@ const smallPoints = 7;
 const mediumPoints = 12;
 const largePoints = 16;
 const mostPoints = 31;
+const minZoomWidth = 5;
+// Allows for floating point errors when comparing values that should be multiples of a step.
+const floatTolerance = 1e-9;
+const yScales = {
+	linear: d3ScaleLinear,
+	log: d3ScaleLog,
+	symlog: d3ScaleSymlog,
+};
+const percentChangeFormat = d3Format( '+.0%' );
+const curves = {
+	basis: d3CurveBasis,
+	linear: d3CurveLinear,
+	monotoneX: d3CurveMonotoneX,
+	step: d3CurveStep,
+	stepAfter: d3CurveStepAfter,
+	stepBefore: d3CurveStepBefore,
+};
 
 /**
  * Allows an overriding formatter or defaults to d3Format or d3TimeFormat
@@ -34,6 +75,77 @@ const mostPoints = 31;
 export const getFormatter = ( format, formatter = d3Format ) =>
 	typeof format === 'function' ? format : formatter( format );
 
+/**
+ * Allows an overriding formatter for the x values or defaults to d3TimeFormat on a `time` x-axis
+ * @param {string|function} format - either a format string for the D3 time formatters or an overriding method
+ * @param {boolean} utc - format dates in UTC rather than in local time
+ * @param {string} xType - `time`, `band` or `linear`, format strings are ignored on `band` and `linear` x-axes
+ * @returns {function} to be used to format an x value, which is shown as it is when there is no formatter
+ */
+export const getXFormatter = ( format, utc = false, xType = 'time' ) => {
+	if ( xType === 'time' ) {
+		return getFormatter( format, utc ? d3UTCFormat : d3TimeFormat );
+	}
+	return typeof format === 'function' ? format : String;
+};
+
+/**
+ * Checks whether a chart type is plotted along the continuous or point scale from `getXLineScale`
+ * @param {string} type - the chart component's `type` prop
+ * @returns {boolean} true for line and area charts
+ */
+export const isLineType = type => includes( [ 'line', 'area', 'stacked-area' ], type );
+
+/**
+ * Checks whether a chart type stacks the values of each date
+ * @param {string} type - the chart component's `type` prop
+ * @returns {boolean} true for stacked bar and stacked area charts
+ */
+export const isStackedType = type => includes( [ 'stacked-bar', 'stacked-area' ], type );
+
+/**
+ * Describes `getDateParser`
+ * @param {string} dateParser - The chart component's `dateParser` prop, a d3 time format specifier.
+ * @param {boolean} utc - parse dates in UTC rather than in local time
+ * @returns {function} converts a date string into a `Date`, dates in another format fall back to `new Date()`
+ */
+export const getDateParser = ( dateParser, utc = false ) => {
+	const parse = ( utc ? d3UTCParse : d3TimeParse )( dateParser );
+	return d => ( d instanceof Date ? d : parse( d ) || new Date( d ) );
+};
+
+const parseDefaultDate = d => ( d instanceof Date ? d : new Date( d ) );
+
+/**
+ * Describes `getXParser`
+ * @param {string} dateParser - The chart component's `dateParser` prop, a d3 time format specifier.
+ * @param {boolean} utc - parse dates in UTC rather than in local time
+ * @param {string} xType - `time`, `band` or `linear`
+ * @returns {function} converts an x value into a `Date` on a `time` x-axis, a number on a `linear` one, and keeps
+ * the categories of a `band` x-axis as they are
+ */
+export const getXParser = ( dateParser, utc = false, xType = 'time' ) => {
+	if ( xType === 'linear' ) {
+		return Number;
+	}
+	return xType === 'band' ? d => d : getDateParser( dateParser, utc );
+};
+
+/**
+ * Describes `getXData`
+ * @param {array} data - The chart component's `data` prop.
+ * @param {string} xKey - The chart component's `xKey` prop, the property holding the x value of each item.
+ * @returns {array} the items of `data` with their x value as `date`, which is what the other utils plot along the
+ * x-axis
+ */
+export const getXData = ( data, xKey = 'date' ) =>
+	xKey === 'date'
+		? data
+		: data.map( ( { [ xKey ]: x, ...d } ) => ( {
+				...d,
+				date: x,
+		  } ) );
+
 /**
  * Describes `smallestFactor`
  * @param {number} inputNum - any double or integer
@@ -52,6 +164,61 @@ export const getFactors = inputNum => {
 	return numFactors;
 };
 
+const getAccessor = accessor =>
+	typeof accessor === 'function' ? accessor : d => get( d, accessor );
+
+/**
+ * Describes `getPivotedData`
+ * @param {array} data - The chart component's `data` prop in long format, one item per x value and category.
+ * @param {string|function} xAccessor - property name or function returning the x value of an item
+ * @param {string|function} seriesAccessor - property name or function returning the category key of an item
+ * @param {string|function} valueAccessor - property name or function returning the value of an item
+ * @param {string|function} labelAccessor - property name or function returning the optional label of an item
+ * @returns {array} one item per x value in order of appearance, with the x value as `date` and a `value` and
+ * `label` for each category key
+ */
+export const getPivotedData = ( data, xAccessor, seriesAccessor, valueAccessor, labelAccessor ) => {
+	const [ getX, getSeries, getSeriesValue, getLabel ] = [
+		xAccessor,
+		seriesAccessor,
+		valueAccessor,
+		labelAccessor,
+	].map( getAccessor );
+	const items = new Map();
+	data.forEach( d => {
+		const x = getX( d );
+		const id = x instanceof Date ? x.getTime() : x;
+		if ( ! items.has( id ) ) {
+			items.set( id, { date: x } );
+		}
+		const label = getLabel( d );
+		items.get( id )[ getSeries( d ) ] = isNil( label )
+			? { value: getSeriesValue( d ) }
+			: { value: getSeriesValue( d ), label };
+	} );
+	return [ ...items.values() ];
+};
+
+/**
+ * Describes `getZoomedData`
+ * @param {array} data - The chart component's `data` prop.
+ * @param {array} zoom - the first and last date of the zoomed range, or `null` when not zoomed
+ * @param {function} parseDate - from `getXParser`
+ * @param {string} xType - `time`, `band` or `linear`, the range of a `band` x-axis follows the order of `data`
+ * @returns {array} the items of `data` within the zoomed range
+ */
+export const getZoomedData = ( data, zoom, parseDate, xType = 'time' ) => {
+	if ( ! zoom ) {
+		return data;
+	}
+	if ( xType === 'band' ) {
+		const dates = data.map( d => d.date );
+		return data.slice( dates.indexOf( zoom[ 0 ] ), dates.indexOf( zoom[ 1 ] ) + 1 );
+	}
+	const [ start, end ] = zoom.map( parseDate );
+	return data.filter( d => parseDate( d.date ) >= start && parseDate( d.date ) <= end );
+};
+
 /**
  * Describes `getUniqueKeys`
  * @param {array} data - The chart component's `data` prop.
@@ -68,29 +235,76 @@ export const getUniqueKeys = data => {
 	];
 };
 
+const sumValues = values => values.reduce( ( a, c ) => a + c, 0 );
+
+const aggregators = {
+	average: values => ( values.length ? sumValues( values ) / values.length : null ),
+	last: values => ( values.length ? values[ values.length - 1 ] : null ),
+	max: values => ( values.length ? d3Max( values ) : null ),
+	min: values => ( values.length ? d3Min( values ) : null ),
+	sum: sumValues,
+};
+
+/**
+ * Describes `getAggregate`
+ * @param {array} data - The chart component's `data` prop.
+ * @param {string} key - a category key.
+ * @param {string|function} aggregate - `sum`, `average`, `last`, `max`, `min`, or a function called with the
+ * values of the category, missing values left out, and its key.
+ * @returns {number|null} the aggregated value of the category, `null` when it has no values to aggregate
+ */
+export const getAggregate = ( data, key, aggregate = 'sum' ) => {
+	const values = data.map( d => get( d, [ key, 'value' ] ) ).filter( value => ! isNil( value ) );
+	return typeof aggregate === 'function'
+		? aggregate( values, key )
+		: aggregators[ aggregate ]( values );
+};
+
 /**
  * Describes `getOrderedKeys`
  * @param {array} data - The chart component's `data` prop.
  * @param {array} uniqueKeys - from `getUniqueKeys`.
- * @returns {array} of unique category keys ordered by cumulative total value
+ * @param {string|function} aggregate - The chart component's `legendAggregate` prop, from `sum` by default.
+ * @returns {array} of unique category keys ordered by aggregated value, as their `total`
  */
-export const getOrderedKeys = ( data, uniqueKeys ) =>
+export const getOrderedKeys = ( data, uniqueKeys, aggregate = 'sum' ) =>
 	uniqueKeys
 		.map( key => ( {
 			key,
 			focus: true,
-			total: data.reduce( ( a, c ) => a + c[ key ].value, 0 ),
+			total: getAggregate( data, key, aggregate ),
 			visible: true,
 		} ) )
-		.sort( ( a, b ) => b.total - a.total );
+		.sort( ( a, b ) => {
+			if ( isNil( a.total ) || isNil( b.total ) ) {
+				return isNil( a.total ) - isNil( b.total );
+			}
+			return b.total - a.total;
+		} );
+
+/**
+ * Describes `getValue`
+ * @param {object} d - an item of the chart component's `data` prop.
+ * @param {string} key - a category key.
+ * @param {string} missingData - `gap`, `zero` or `interpolate`, how missing or `null` values are plotted.
+ * @returns {number|null} the value of the category, zero or `null` when it is missing
+ */
+export const getValue = ( d, key, missingData = 'gap' ) => {
+	const value = get( d, [ key, 'value' ] );
+	if ( isNil( value ) ) {
+		return missingData === 'zero' ? 0 : null;
+	}
+	return value;
+};
 
 /**
  * Describes `getLineData`
  * @param {array} data - The chart component's `data` prop.
  * @param {array} orderedKeys - from `getOrderedKeys`.
+ * @param {string} missingData - `gap`, `zero` or `interpolate`, how missing or `null` values are plotted.
  * @returns {array} an array objects with a category `key` and an array of `values` with `date` and `value` properties
  */
-export const getLineData = ( data, orderedKeys ) =>
+export const getLineData = ( data, orderedKeys, missingData = 'gap' ) =>
 	orderedKeys.map( row => ( {
 		key: row.key,
 		focus: row.focus,
@@ -99,26 +313,204 @@ export const getLineData = ( data, orderedKeys ) =>
 			date: d.date,
 			focus: row.focus,
 			label: get( d, [ row.key, 'label' ], '' ),
-			value: get( d, [ row.key, 'value' ], 0 ),
+			value: getValue( d, row.key, missingData ),
 			visible: row.visible,
 		} ) ),
 	} ) );
 
+/**
+ * Describes `getDataTable`
+ * @param {array} lineData - from `getLineData`
+ * @param {object} params - with the `parseDate`, `tooltipLabelFormat`, `tooltipValueFormat` and `y2Format`
+ * formatters, the `y2Keys` and the `noDataLabel` of missing values
+ * @returns {object} the `columns` of the table, one per visible category with its `key`, and the `rows`, one per
+ * date with its `date`, formatted `label` and the formatted `values` of the columns
+ */
+export const getDataTable = ( lineData, params ) => {
+	const columns = lineData.filter( row => row.visible );
+	const dates = columns.length ? columns[ 0 ].values.map( d => d.date ) : [];
+	return {
+		columns: columns.map( row => ( { key: row.key } ) ),
+		rows: dates.map( ( date, i ) => ( {
+			date,
+			label: params.tooltipLabelFormat( params.parseDate( date ) ),
+			values: columns.map( row => {
+				const value = row.values[ i ].value;
+				return isNil( value ) ? params.noDataLabel : getKeyValueFormat( row.key, params )( value );
+			} ),
+		} ) ),
+	};
+};
+
+const getTrend = ( firstValue, lastValue ) => {
+	if ( lastValue > firstValue ) {
+		return 'up';
+	}
+	return lastValue < firstValue ? 'down' : 'flat';
+};
+
+/**
+ * Describes `getChartSummary`
+ * @param {array} lineData - from `getLineData`
+ * @param {object} params - with the `parseDate`, `tooltipLabelFormat`, `tooltipValueFormat` and `y2Format`
+ * formatters, the `y2Keys`, the `noDataLabel` of missing values and the `summaryDatesFormat` and
+ * `summaryKeyFormat` sentences
+ * @returns {string} a text description of the dates and of the trend, highest and lowest value of each visible
+ * category, for screen readers
+ */
+export const getChartSummary = ( lineData, params ) => {
+	const rows = lineData.filter( row => row.visible );
+	const dates = rows.length ? rows[ 0 ].values.map( d => d.date ) : [];
+	if ( ! dates.length ) {
+		return params.noDataLabel;
+	}
+	const formatDate = date => params.tooltipLabelFormat( params.parseDate( date ) );
+	const range = params.summaryDatesFormat(
+		formatDate( dates[ 0 ] ),
+		formatDate( dates[ dates.length - 1 ] )
+	);
+	const descriptions = rows.map( row => {
+		const values = row.values.filter( d => ! isNil( d.value ) );
+		if ( ! values.length ) {
+			return `${ row.key }: ${ params.noDataLabel }.`;
+		}
+		const formatValue = getKeyValueFormat( row.key, params );
+		const firstValue = values[ 0 ].value;
+		const lastValue = values[ values.length - 1 ].value;
+		const highest = maxBy( values, 'value' );
+		const lowest = minBy( values, 'value' );
+		return params.summaryKeyFormat( {
+			key: row.key,
+			trend: getTrend( firstValue, lastValue ),
+			first: formatValue( firstValue ),
+			last: formatValue( lastValue ),
+			highest: formatValue( highest.value ),
+			highestDate: formatDate( highest.date ),
+			lowest: formatValue( lowest.value ),
+			lowestDate: formatDate( lowest.date ),
+		} );
+	} );
+	return [ range, ...descriptions ].join( ' ' );
+};
+
+/**
+ * Describes `getPreviousKey`
+ * @param {string} key - a category key of the current period.
+ * @param {string} previousLabel - The chart component's `previousLabel` prop.
+ * @returns {string} the category key of the same category in the previous period
+ */
+export const getPreviousKey = ( key, previousLabel ) => `${ key } (${ previousLabel })`;
+
+/**
+ * Describes `getComparisonData`
+ * @param {array} data - The chart component's `data` prop, the current period.
+ * @param {array} previousData - The chart component's `previousData` prop, the previous period.
+ * @param {string} previousLabel - The chart component's `previousLabel` prop.
+ * @returns {array} both periods aligned by index on the dates of the current period, the values of each period have
+ * their own date as `labelDate`
+ */
+export const getComparisonData = ( data, previousData, previousLabel ) =>
+	data.map( ( d, i ) => {
+		const previous = previousData[ i ] || {};
+		const row = { date: d.date };
+		getUniqueKeys( [ d ] ).forEach( key => {
+			row[ key ] = { ...d[ key ], labelDate: d.date };
+		} );
+		getUniqueKeys( [ previous ] ).forEach( key => {
+			row[ getPreviousKey( key, previousLabel ) ] = {
+				...previous[ key ],
+				labelDate: previous.date,
+			};
+		} );
+		return row;
+	} );
+
+/**
+ * Describes `getComparisonOrderedKeys`
+ * @param {array} orderedKeys - from `getOrderedKeys`, the keys of the current period.
+ * @param {array} previousData - The chart component's `previousData` prop, the previous period.
+ * @param {string} previousLabel - The chart component's `previousLabel` prop.
+ * @param {string|function} aggregate - The chart component's `legendAggregate` prop.
+ * @returns {array} `orderedKeys` with each key followed by the same key of the previous period, flagged as `previous`
+ */
+export const getComparisonOrderedKeys = (
+	orderedKeys,
+	previousData,
+	previousLabel,
+	aggregate = 'sum'
+) =>
+	orderedKeys.reduce(
+		( accum, row ) => [
+			...accum,
+			row,
+			{
+				...row,
+				key: getPreviousKey( row.key, previousLabel ),
+				currentKey: row.key,
+				previous: true,
+				total: getAggregate( previousData, row.key, aggregate ),
+			},
+		],
+		[]
+	);
+
+/**
+ * Describes `getStackedLineData`
+ * @param {array} lineData - from `getLineData`
+ * @param {array} y2Keys - category keys plotted against the secondary y-axis, stacked separately
+ * @returns {array} `lineData` with `y0` and `y1` added to each value, the bounds of its stacked segment. Positive
+ * values stack up from zero and negative values stack down from it.
+ */
+export const getStackedLineData = ( lineData, y2Keys = [] ) => {
+	const totals = { y: { positive: [], negative: [] }, y2: { positive: [], negative: [] } };
+	return lineData.map( row => {
+		const axisTotals = includes( y2Keys, row.key ) ? totals.y2 : totals.y;
+		return {
+			...row,
+			values: row.values.map( ( d, i ) => {
+				const signTotals = d.value < 0 ? axisTotals.negative : axisTotals.positive;
+				const y0 = signTotals[ i ] || 0;
+				const y1 = row.visible && ! isNil( d.value ) ? y0 + d.value : y0;
+				signTotals[ i ] = y1;
+				return { ...d, y0, y1 };
+			} ),
+		};
+	} );
+};
+
+/**
+ * Describes `getWideData`
+ * @param {array} data - The chart component's `data` or `previousData` prop.
+ * @param {object} props - The chart component's `dataFormat`, `xKey` and accessor props.
+ * @returns {array} the items of `data`, pivoted into one item per x value when in long format, with their x value
+ * as `date`
+ */
+export const getWideData = ( data, props ) => {
+	const { dataFormat, labelAccessor, seriesAccessor, valueAccessor, xAccessor, xKey } = props;
+	return dataFormat === 'long'
+		? getPivotedData( data, xAccessor || xKey, seriesAccessor, valueAccessor, labelAccessor )
+		: getXData( data, xKey );
+};
+
 /**
  * Describes `getUniqueDates`
  * @param {array} lineData - from `GetLineData`
- * @param {function} parseDate - D3 time format parser
+ * @param {function} parseDate - D3 time format parser, or from `getXParser`
+ * @param {string} xType - `time`, `band` or `linear`, the categories of a `band` x-axis keep the order of `data`
  * @returns {array} an array of unique date values sorted from earliest to latest
  */
-export const getUniqueDates = ( lineData, parseDate ) => {
-	return [
+export const getUniqueDates = ( lineData, parseDate, xType = 'time' ) => {
+	const uniqueDates = [
 		...new Set(
 			lineData.reduce( ( accum, { values } ) => {
 				values.forEach( ( { date } ) => accum.push( date ) );
 				return accum;
 			}, [] )
 		),
-	].sort( ( a, b ) => parseDate( a ) - parseDate( b ) );
+	];
+	return xType === 'band'
+		? uniqueDates
+		: uniqueDates.sort( ( a, b ) => parseDate( a ) - parseDate( b ) );
 };
 
 export const getColor = ( key, params ) => {
@@ -129,13 +521,17 @@ export const getColor = ( key, params ) => {
 		[ 0.2, 0.5, 0.8 ],
 		[ 0.12, 0.375, 0.625, 0.88 ],
 	];
+	// Keys of the previous period share the color of the same key in the current period.
+	const colorKeys = params.orderedKeys.filter( d => ! d.previous );
+	const row = find( params.orderedKeys, { key } );
+	const colorKey = row && row.previous ? row.currentKey : key;
 	let keyValue = 0;
-	const len = params.orderedKeys.length;
-	const idx = findIndex( params.orderedKeys, d => d.key === key );
+	const len = colorKeys.length;
+	const idx = findIndex( colorKeys, d => d.key === colorKey );
 	if ( len < 5 ) {
 		keyValue = smallColorScales[ len ][ idx ];
 	} else {
-		keyValue = idx / ( params.orderedKeys.length - 1 );
+		keyValue = idx / ( colorKeys.length - 1 );
 	}
 	return params.colorScheme( keyValue );
 };
@@ -168,56 +564,275 @@ export const getXGroupScale = ( orderedKeys, xScale ) =>
  * Describes getXLineScale
  * @param {array} uniqueDates - from `getUniqueDates`
  * @param {number} width - calculated width of the charting space
- * @returns {function} a D3 scaletime for each date
+ * @param {function} parseDate - from `getDateParser` or `getXParser`
+ * @param {boolean} utc - use a UTC rather than a local time scale
+ * @param {string} xType - `time`, `band` or `linear`
+ * @returns {function} a D3 scaletime for each date, a linear scale for numeric x values or a point scale for
+ * categories
  */
-export const getXLineScale = ( uniqueDates, width ) =>
-	d3ScaleTime()
-		.domain( [ new Date( uniqueDates[ 0 ] ), new Date( uniqueDates[ uniqueDates.length - 1 ] ) ] )
+export const getXLineScale = (
+	uniqueDates,
+	width,
+	parseDate = parseDefaultDate,
+	utc = false,
+	xType = 'time'
+) => {
+	if ( xType === 'band' ) {
+		return d3ScalePoint()
+			.domain( uniqueDates )
+			.rangeRound( [ 0, width ] );
+	}
+	const xScales = { linear: d3ScaleLinear, time: utc ? d3ScaleUtc : d3ScaleTime };
+	return xScales[ xType ]()
+		.domain( [ parseDate( uniqueDates[ 0 ] ), parseDate( uniqueDates[ uniqueDates.length - 1 ] ) ] )
 		.rangeRound( [ 0, width ] );
+};
+
+const log10 = value => Math.log( value ) * Math.LOG10E;
+
+/**
+ * Rounds a positive value up to the nearest thousand, ten-thousand, million etc.
+ * @param {number} value - any positive number
+ * @returns {number} the rounded value
+ */
+const roundYBound = value => {
+	const pow3Y = Math.pow( 10, ( ( log10( value ) + 1 ) | 0 ) - 2 ) * 3;
+	return Math.ceil( value / pow3Y ) * pow3Y;
+};
+
+/**
+ * Describes the smallest and largest plotted values, using the stacked bounds when available
+ * @param {array} lineData - from `getLineData` or `getStackedLineData`
+ * @returns {array} the minimum and maximum values in the timeseries
+ */
+const getYExtent = lineData => {
+	const getValues = d => d.values.map( date => get( date, 'y1', date.value ) );
+	return [
+		d3Min( lineData, d => d3Min( getValues( d ) ) ),
+		d3Max( lineData, d => d3Max( getValues( d ) ) ),
+	];
+};
+
+/**
+ * Describes the distance between y-axis gridlines, an equal division of the largest rounded absolute value
+ * @param {array} lineData - from `getLineData` or `getStackedLineData`
+ * @param {number} yTickCount - number of gridlines from zero to the largest absolute value
+ * @returns {number} the y step
+ */
+const getYStep = ( lineData, yTickCount ) => {
+	const [ yMin, yMax ] = getYExtent( lineData );
+	return roundYBound( 4 / 3 * Math.max( yMax, -yMin ) ) / ( yTickCount - 1 );
+};
 
 /**
  * Describes and rounds the maximum y value to the nearest thousadn, ten-thousand, million etc.
- * @param {array} lineData - from `getLineData`
- * @returns {number} the maximum value in the timeseries multiplied by 4/3
+ * @param {array} lineData - from `getLineData` or `getStackedLineData`
+ * @param {number} yTickCount - number of gridlines from zero to the largest absolute value
+ * @returns {number} the maximum value (or stacked total) in the timeseries multiplied by 4/3, or the nearest
+ * multiple of the y step when negative values are larger
  */
-export const getYMax = lineData => {
-	const yMax = 4 / 3 * d3Max( lineData, d => d3Max( d.values.map( date => date.value ) ) );
-	const pow3Y = Math.pow( 10, ( ( Math.log( yMax ) * Math.LOG10E + 1 ) | 0 ) - 2 ) * 3;
-	return Math.ceil( yMax / pow3Y ) * pow3Y;
+export const getYMax = ( lineData, yTickCount = 4 ) => {
+	const [ yMin, yMax ] = getYExtent( lineData );
+	const yStep = getYStep( lineData, yTickCount );
+	return yMax >= -yMin
+		? yStep * ( yTickCount - 1 )
+		: Math.max( 0, Math.ceil( yMax / yStep ) * yStep );
+};
+
+/**
+ * Describes and rounds the minimum y value in the same way as `getYMax`
+ * @param {array} lineData - from `getLineData` or `getStackedLineData`
+ * @param {number} yTickCount - number of gridlines from zero to the largest absolute value
+ * @returns {number} zero when there are no negative values, otherwise the minimum value in the timeseries
+ * multiplied by 4/3, or the nearest multiple of the y step when positive values are larger
+ */
+export const getYMin = ( lineData, yTickCount = 4 ) => {
+	const [ yMin, yMax ] = getYExtent( lineData );
+	const yStep = getYStep( lineData, yTickCount );
+	if ( yMin >= 0 ) {
+		return 0;
+	}
+	return -yMin > yMax ? -yStep * ( yTickCount - 1 ) : Math.floor( yMin / yStep ) * yStep;
+};
+
+/**
+ * Describes the domain of a logarithmic y-axis, extended to powers of ten
+ * @param {array} lineData - from `getLineData` or `getStackedLineData`
+ * @param {string} yScaleType - `log` or `symlog`
+ * @returns {array} the minimum and maximum y values, the log domain starts at the smallest positive value while the
+ * symlog domain includes zero
+ */
+const getLogYDomain = ( lineData, yScaleType ) => {
+	const [ yMin, yMax ] = getYExtent( lineData );
+	const upper = yMax > 0 ? Math.pow( 10, Math.ceil( log10( yMax ) - floatTolerance ) ) : 0;
+	if ( yScaleType === 'symlog' ) {
+		return [ yMin < 0 ? -Math.pow( 10, Math.ceil( log10( -yMin ) - floatTolerance ) ) : 0, upper ];
+	}
+	const yMinPositive = d3Min( lineData, d =>
+		d3Min( d.values, date => {
+			const value = get( date, 'y1', date.value );
+			return value > 0 ? value : undefined;
+		} )
+	);
+	return [
+		yMinPositive ? Math.pow( 10, Math.floor( log10( yMinPositive ) + floatTolerance ) ) : 1,
+		Math.max( upper, 10 ),
+	];
+};
+
+/**
+ * Describes getYDomain
+ * @param {array} lineData - from `getLineData` or `getStackedLineData`
+ * @param {array} yDomain - the chart component's `yDomain` prop, a `null` bound is calculated
+ * @param {number} yTickCount - number of gridlines from zero to the largest absolute value
+ * @param {boolean} yNice - extends the domain to round tick values rather than using `getYMin` and `getYMax`
+ * @param {string} yScaleType - `linear`, `log` or `symlog`, the logarithmic domains are extended to powers of ten
+ * @returns {array} the minimum and maximum y values, from zero to one unit per gridline when every value is missing
+ * or zero
+ */
+export const getYDomain = (
+	lineData,
+	yDomain = [],
+	yTickCount = 4,
+	yNice = false,
+	yScaleType = 'linear'
+) => {
+	const [ yMin, yMax ] = getYExtent( lineData );
+	let domain;
+	if ( yScaleType === 'log' ) {
+		domain = getLogYDomain( lineData, yScaleType );
+	} else if ( isNil( yMax ) || ( yMin === 0 && yMax === 0 ) ) {
+		// Nothing is plotted off the baseline, e.g. when every value is missing.
+		domain = [ 0, yTickCount - 1 ];
+	} else if ( yScaleType === 'symlog' ) {
+		domain = getLogYDomain( lineData, yScaleType );
+	} else if ( yNice ) {
+		domain = d3ScaleLinear()
+			.domain( [ Math.min( 0, yMin ), Math.max( 0, yMax ) ] )
+			.nice( yTickCount - 1 )
+			.domain();
+	} else {
+		domain = [ getYMin( lineData, yTickCount ), getYMax( lineData, yTickCount ) ];
+	}
+	return domain.map( ( d, i ) => ( isNil( yDomain[ i ] ) ? d : yDomain[ i ] ) );
+};
+
+/**
+ * Describes the powers of ten between two positive values, thinned out so there are no more than twice the number
+ * of gridlines
+ * @param {number} from - the smallest value
+ * @param {number} to - the largest value
+ * @param {number} yTickCount - number of gridlines
+ * @returns {array} of powers of ten
+ */
+const getPowersOfTen = ( from, to, yTickCount ) => {
+	const exponents = d3Range(
+		Math.ceil( log10( from ) - floatTolerance ),
+		Math.floor( log10( to ) + floatTolerance ) + 1
+	);
+	const interval = Math.ceil( exponents.length / ( 2 * yTickCount ) );
+	return exponents.filter( e => e % interval === 0 ).map( e => Math.pow( 10, e ) );
+};
+
+/**
+ * Describes getYGrids
+ * @param {number} yMin - the minimum y value
+ * @param {number} yMax - the maximum y value
+ * @param {number} yTickCount - number of gridlines from zero to the largest absolute value
+ * @param {boolean} yNice - use the round tick values from d3 rather than equal divisions
+ * @param {string} yScaleType - `linear`, `log` or `symlog`, the logarithmic scales use powers of ten
+ * @returns {array} the values of the y-axis gridlines, including zero when in the domain, or equal divisions of the
+ * domain when it is not
+ */
+export const getYGrids = ( yMin, yMax, yTickCount = 4, yNice = false, yScaleType = 'linear' ) => {
+	if ( yScaleType === 'log' ) {
+		return getPowersOfTen( yMin, yMax, yTickCount );
+	}
+	if ( yScaleType === 'symlog' ) {
+		return [
+			...getPowersOfTen( 1, -yMin, yTickCount )
+				.map( d => -d )
+				.reverse(),
+			0,
+			...getPowersOfTen( 1, yMax, yTickCount ),
+		].filter( d => d >= yMin && d <= yMax );
+	}
+	if ( yNice ) {
+		return d3ScaleLinear()
+			.domain( [ yMin, yMax ] )
+			.ticks( yTickCount - 1 );
+	}
+	if ( yMin > 0 || yMax < 0 ) {
+		// Zero is outside a given domain, so the gridlines divide the domain itself.
+		const yStep = ( yMax - yMin ) / ( yTickCount - 1 );
+		return d3Range( yTickCount ).map( i => yMin + i * yStep );
+	}
+	const yStep = Math.max( yMax, -yMin ) / ( yTickCount - 1 );
+	return d3Range(
+		Math.ceil( yMin / yStep - floatTolerance ),
+		Math.floor( yMax / yStep + floatTolerance ) + 1
+	).map( i => i * yStep );
 };
 
 /**
  * Describes getYScale
  * @param {number} height - calculated height of the charting space
- * @param {number} yMax - from `getYMax`
- * @returns {function} the D3 linear scale from 0 to the value from `getYMax`
+ * @param {number} yMax - the maximum y value
+ * @param {number} yMin - the minimum y value
+ * @param {string} yScaleType - `linear`, `log` or `symlog`
+ * @returns {function} the D3 scale from the minimum to the maximum y value. The log scale is clamped, so zero and
+ * negative values are plotted at the bottom of the chart.
  */
-export const getYScale = ( height, yMax ) =>
-	d3ScaleLinear()
-		.domain( [ 0, yMax ] )
-		.rangeRound( [ height, 0 ] );
+export const getYScale = ( height, yMax, yMin = 0, yScaleType = 'linear' ) =>
+	yScales[ yScaleType ]()
+		.domain( [ yMin, yMax ] )
+		.rangeRound( [ height, 0 ] )
+		.clamp( yScaleType === 'log' );
 
 /**
  * Describes getyTickOffset
  * @param {number} height - calculated height of the charting space
- * @param {number} yMax - from `getYMax`
- * @returns {function} the D3 linear scale from 0 to the value from `getYMax`, offset by 12 pixels down
+ * @param {number} yMax - the maximum y value
+ * @param {number} yMin - the minimum y value
+ * @param {string} yScaleType - `linear`, `log` or `symlog`
+ * @returns {function} the D3 scale from the minimum to the maximum y value, offset by 12 pixels down
  */
-export const getYTickOffset = ( height, yMax ) =>
-	d3ScaleLinear()
-		.domain( [ 0, yMax ] )
+export const getYTickOffset = ( height, yMax, yMin = 0, yScaleType = 'linear' ) =>
+	yScales[ yScaleType ]()
+		.domain( [ yMin, yMax ] )
 		.rangeRound( [ height + 12, 12 ] );
 
 /**
  * Describes getyTickOffset
  * @param {function} xLineScale - from `getXLineScale`.
  * @param {function} yScale - from `getYScale`.
- * @returns {function} the D3 line function for plotting all category values
+ * @param {string} curve - name of the curve interpolating between points, e.g. `linear`, `monotoneX` or `step`
+ * @param {function} parseDate - from `getDateParser`
+ * @returns {function} the D3 line function for plotting all category values, with gaps for `null` values
  */
-export const getLine = ( xLineScale, yScale ) =>
+export const getLine = ( xLineScale, yScale, curve = 'linear', parseDate = parseDefaultDate ) =>
 	d3Line()
-		.x( d => xLineScale( new Date( d.date ) ) )
-		.y( d => yScale( d.value ) );
+		.curve( curves[ curve ] )
+		.defined( d => ! isNil( d.value ) )
+		.x( d => xLineScale( parseDate( d.date ) ) )
+		.y( d => yScale( get( d, 'y1', d.value ) ) );
+
+/**
+ * Describes getArea
+ * @param {function} xLineScale - from `getXLineScale`.
+ * @param {function} yScale - from `getYScale`.
+ * @param {string} curve - name of the curve interpolating between points, e.g. `linear`, `monotoneX` or `step`
+ * @param {function} parseDate - from `getDateParser`
+ * @returns {function} the D3 area function for plotting all category values, filled down to `y0` or zero, with
+ * gaps for `null` values
+ */
+export const getArea = ( xLineScale, yScale, curve = 'linear', parseDate = parseDefaultDate ) =>
+	d3Area()
+		.curve( curves[ curve ] )
+		.defined( d => ! isNil( d.value ) )
+		.x( d => xLineScale( parseDate( d.date ) ) )
+		.y0( d => yScale( get( d, 'y0', 0 ) ) )
+		.y1( d => yScale( get( d, 'y1', d.value ) ) );
 
 /**
  * Calculate the maximum number of ticks allowed in the x-axis based on the width and mode of the chart
@@ -250,12 +865,13 @@ export const calculateMaxXTicks = ( width, mode ) => {
 /**
  * Filter out irrelevant dates so only the first date of each month is kept.
  * @param {array} dates - string dates.
+ * @param {function} parseDate - from `getDateParser`
+ * @param {boolean} utc - compare the months in UTC rather than in local time
  * @returns {array} Filtered dates.
  */
-export const getFirstDatePerMonth = dates => {
-	return dates.filter(
-		( date, i ) => i === 0 || new Date( date ).getMonth() !== new Date( dates[ i - 1 ] ).getMonth()
-	);
+export const getFirstDatePerMonth = ( dates, parseDate = parseDefaultDate, utc = false ) => {
+	const getMonth = date => ( utc ? parseDate( date ).getUTCMonth() : parseDate( date ).getMonth() );
+	return dates.filter( ( date, i ) => i === 0 || getMonth( date ) !== getMonth( dates[ i - 1 ] ) );
 };
 
 /**
@@ -305,16 +921,20 @@ export const calculateXTicksIncrementFactor = ( uniqueDates, maxTicks ) => {
  * @param {integer} width - calculated page width
  * @param {string} mode - item-comparison or time-comparison
  * @param {string} interval - string of the interval used in the graph (hour, day, week...)
+ * @param {function} parseDate - from `getDateParser`
+ * @param {boolean} utc - find the first date of each month in UTC rather than in local time
+ * @param {string} xType - `time`, `band` or `linear`, only dates are reduced to the first date of each month
  * @returns {integer} number of x-axis ticks based on width and chart mode
  */
-export const getXTicks = ( uniqueDates, width, mode, interval ) => {
+export const getXTicks = ( uniqueDates, width, mode, interval, parseDate, utc, xType = 'time' ) => {
 	const maxTicks = calculateMaxXTicks( width, mode );
 
 	if (
-		( uniqueDates.length >= dayTicksThreshold && interval === 'day' ) ||
-		( uniqueDates.length >= weekTicksThreshold && interval === 'week' )
+		xType === 'time' &&
+		( ( uniqueDates.length >= dayTicksThreshold && interval === 'day' ) ||
+			( uniqueDates.length >= weekTicksThreshold && interval === 'week' ) )
 	) {
-		uniqueDates = getFirstDatePerMonth( uniqueDates );
+		uniqueDates = getFirstDatePerMonth( uniqueDates, parseDate, utc );
 	}
 	if ( uniqueDates.length <= maxTicks ) {
 		return uniqueDates;
@@ -331,20 +951,27 @@ export const getXTicks = ( uniqueDates, width, mode, interval ) => {
  * @param {array} uniqueDates - from `getUniqueDates`
  * @param {number} width - calculated width of the charting space
  * @param {function} xLineScale - from `getXLineScale`
+ * @param {function} parseDate - from `getDateParser`
  * @returns {array} that icnludes the date, start (x position) and width to mode the mouseover rectangles
  */
-export const getDateSpaces = ( data, uniqueDates, width, xLineScale ) =>
+export const getDateSpaces = (
+	data,
+	uniqueDates,
+	width,
+	xLineScale,
+	parseDate = parseDefaultDate
+) =>
 	uniqueDates.map( ( d, i ) => {
 		const datapoints = find( data, { date: d } );
-		const xNow = xLineScale( new Date( d ) );
+		const xNow = xLineScale( parseDate( d ) );
 		const xPrev =
 			i >= 1
-				? xLineScale( new Date( uniqueDates[ i - 1 ] ) )
-				: xLineScale( new Date( uniqueDates[ 0 ] ) );
+				? xLineScale( parseDate( uniqueDates[ i - 1 ] ) )
+				: xLineScale( parseDate( uniqueDates[ 0 ] ) );
 		const xNext =
 			i < uniqueDates.length - 1
-				? xLineScale( new Date( uniqueDates[ i + 1 ] ) )
-				: xLineScale( new Date( uniqueDates[ uniqueDates.length - 1 ] ) );
+				? xLineScale( parseDate( uniqueDates[ i + 1 ] ) )
+				: xLineScale( parseDate( uniqueDates[ uniqueDates.length - 1 ] ) );
 		let xWidth = i === 0 ? xNext - xNow : xNow - xPrev;
 		const xStart = i === 0 ? 0 : xNow - xWidth / 2;
 		xWidth = i === 0 || i === uniqueDates.length - 1 ? xWidth / 2 : xWidth;
@@ -357,7 +984,7 @@ export const getDateSpaces = ( data, uniqueDates, width, xLineScale ) =>
 				.map( key => {
 					return {
 						key,
-						value: datapoints[ key ].value,
+						value: get( datapoints, [ key, 'value' ], null ),
 						date: d,
 					};
 				} ),
@@ -382,50 +1009,84 @@ export const compareStrings = ( s1, s2, splitChar = ' ' ) => {
 	return diff;
 };
 
+/**
+ * Describes `selectOrAppend`
+ * @param {object} node - the parent selection
+ * @param {string} tagName - the tag of the element
+ * @param {string} className - the classes of the element
+ * @param {string} selector - selects the element in `node`, from its classes by default
+ * @returns {object} the selection of the element, appended on the first draw so that the next draws update it
+ */
+export const selectOrAppend = (
+	node,
+	tagName,
+	className,
+	selector = `.${ className.split( ' ' ).join( '.' ) }`
+) => {
+	const selection = node.select( `${ selector }:not(.is-exiting)` );
+	return selection.empty() ? node.append( tagName ).attr( 'class', className ) : selection;
+};
+
+const getTransition = ( selection, params ) =>
+	params.duration > 0
+		? selection
+				.transition()
+				.duration( params.duration )
+				.ease( params.easing )
+		: selection;
+
+// Exiting elements are left out of the next joins while they fade out.
+const fadeOut = ( selection, params ) =>
+	getTransition( selection.classed( 'is-exiting', true ).attr( 'pointer-events', 'none' ), params )
+		.style( 'opacity', 0 )
+		.remove();
+
 export const drawAxis = ( node, params ) => {
-	const xScale = params.type === 'line' ? params.xLineScale : params.xScale;
+	const xScale = isLineType( params.type ) ? params.xLineScale : params.xScale;
 	const removeDuplicateDates = ( d, i, ticks, formatter ) => {
-		const monthDate = d instanceof Date ? d : new Date( d );
-		let prevMonth = i !== 0 ? ticks[ i - 1 ] : ticks[ i ];
-		prevMonth = prevMonth instanceof Date ? prevMonth : new Date( prevMonth );
+		const monthDate = params.parseDate( d );
+		const prevMonth = params.parseDate( i !== 0 ? ticks[ i - 1 ] : ticks[ i ] );
 		return i === 0
 			? formatter( monthDate )
 			: compareStrings( formatter( prevMonth ), formatter( monthDate ) ).join( ' ' );
 	};
 
-	const yGrids = [];
-	for ( let i = 0; i < 4; i++ ) {
-		yGrids.push( i / 3 * params.yMax );
-	}
+	const yGrids = getYGrids(
+		params.yMin,
+		params.yMax,
+		params.yTickCount,
+		params.yNice,
+		params.yScaleType
+	);
 
-	const ticks = params.xTicks.map( d => ( params.type === 'line' ? new Date( d ) : d ) );
+	const ticks = params.xTicks.map( d => ( isLineType( params.type ) ? params.parseDate( d ) : d ) );
+	const isTimeX = params.xType === 'time';
 
-	node
-		.append( 'g' )
-		.attr( 'class', 'axis' )
-		.attr( 'aria-hidden', 'true' )
+	getTransition( selectOrAppend( node, 'g', 'axis x-axis' ).attr( 'aria-hidden', 'true' ), params )
 		.attr( 'transform', `translate(0, ${ params.height })` )
 		.call(
 			d3AxisBottom( xScale )
 				.tickValues( ticks )
-				.tickFormat( ( d, i ) => removeDuplicateDates( d, i, ticks, params.xFormat ) )
+				.tickFormat(
+					( d, i ) =>
+						isTimeX ? removeDuplicateDates( d, i, ticks, params.xFormat ) : params.xFormat( d )
+				)
 		);
 
-	node
-		.append( 'g' )
-		.attr( 'class', 'axis axis-month' )
-		.attr( 'aria-hidden', 'true' )
-		.attr( 'transform', `translate(0, ${ params.height + 20 })` )
-		.call(
-			d3AxisBottom( xScale )
-				.tickValues( ticks )
-				.tickFormat( ( d, i ) => removeDuplicateDates( d, i, ticks, params.x2Format ) )
-		)
-		.call( g => g.select( '.domain' ).remove() );
-
-	node
-		.append( 'g' )
-		.attr( 'class', 'pipes' )
+	isTimeX
+		? getTransition(
+				selectOrAppend( node, 'g', 'axis axis-month' ).attr( 'aria-hidden', 'true' ),
+				params
+		  )
+				.attr( 'transform', `translate(0, ${ params.height + 20 })` )
+				.call(
+					d3AxisBottom( xScale )
+						.tickValues( ticks )
+						.tickFormat( ( d, i ) => removeDuplicateDates( d, i, ticks, params.x2Format ) )
+				)
+		: node.select( '.axis-month' ).remove();
+
+	getTransition( selectOrAppend( node, 'g', 'pipes' ), params )
 		.attr( 'transform', `translate(0, ${ params.height })` )
 		.call(
 			d3AxisBottom( xScale )
@@ -434,30 +1095,55 @@ export const drawAxis = ( node, params ) => {
 				.tickFormat( '' )
 		);
 
-	node
-		.append( 'g' )
-		.attr( 'class', 'grid' )
+	const grid = selectOrAppend( node, 'g', 'grid' );
+	getTransition( grid, params )
 		.attr( 'transform', `translate(-${ params.margin.left },0)` )
 		.call(
 			d3AxisLeft( params.yScale )
 				.tickValues( yGrids )
 				.tickSize( -params.width - params.margin.left - params.margin.right )
 				.tickFormat( '' )
-		)
-		.call( g => g.select( '.domain' ).remove() );
-
-	node
-		.append( 'g' )
-		.attr( 'class', 'axis y-axis' )
-		.attr( 'aria-hidden', 'true' )
+		);
+	grid
+		.selectAll( '.tick' )
+		.classed( 'is-baseline', d => d === clamp( 0, params.yMin, params.yMax ) );
+
+	getTransition(
+		selectOrAppend( node, 'g', 'axis y-axis', '.y-axis:not(.y2-axis)' )
+			.attr( 'aria-hidden', 'true' )
+			.attr( 'text-anchor', 'start' ),
+		params
+	)
 		.attr( 'transform', 'translate(-50, 0)' )
-		.attr( 'text-anchor', 'start' )
 		.call(
 			d3AxisLeft( params.yTickOffset )
 				.tickValues( yGrids )
 				.tickFormat( d => params.yFormat( d !== 0 ? d : 0 ) )
 		);
 
+	params.y2Scale
+		? getTransition(
+				selectOrAppend( node, 'g', 'axis y-axis y2-axis' )
+					.attr( 'aria-hidden', 'true' )
+					.attr( 'text-anchor', 'start' ),
+				params
+		  )
+				.attr( 'transform', `translate(${ params.width }, 0)` )
+				.call(
+					d3AxisRight( params.y2TickOffset )
+						.tickValues(
+							getYGrids(
+								params.y2Min,
+								params.y2Max,
+								params.yTickCount,
+								params.yNice,
+								params.yScaleType
+							)
+						)
+						.tickFormat( d => params.y2Format( d !== 0 ? d : 0 ) )
+				)
+		: node.select( '.y2-axis' ).remove();
+
 	node.selectAll( '.domain' ).remove();
 	node
 		.selectAll( '.axis' )
@@ -466,52 +1152,176 @@ export const drawAxis = ( node, params ) => {
 		.remove();
 };
 
+const isY2Key = ( key, params ) => Boolean( params.y2Scale ) && includes( params.y2Keys, key );
+
+const getKeyYScale = ( key, params ) => ( isY2Key( key, params ) ? params.y2Scale : params.yScale );
+
+const isPreviousKey = ( key, params ) =>
+	Boolean( get( find( params.orderedKeys, { key } ), 'previous' ) );
+
+const getOpacity = ( d, params ) => {
+	if ( ! d.visible ) {
+		return 0;
+	}
+	const opacity = d.focus ? 1 : 0.1;
+	return isPreviousKey( d.key, params ) ? opacity * 0.5 : opacity;
+};
+
+const getKeyValueFormat = ( key, params ) =>
+	includes( params.y2Keys, key ) ? params.y2Format : params.tooltipValueFormat;
+
 const getTooltipRowLabel = ( d, row, params ) => {
-	if ( d[ row.key ].labelDate ) {
-		return params.tooltipLabelFormat(
-			d[ row.key ].labelDate instanceof Date
-				? d[ row.key ].labelDate
-				: new Date( d[ row.key ].labelDate )
-		);
+	const labelDate = get( d, [ row.key, 'labelDate' ] );
+	if ( ! labelDate ) {
+		return row.key;
 	}
-	return row.key;
+	const dateLabel = params.tooltipLabelFormat( params.parseDate( labelDate ) );
+	// When `previousData` is compared, the period alone does not tell the categories apart.
+	return some( params.orderedKeys, 'previous' )
+		? `${ row.currentKey || row.key } · ${ dateLabel }`
+		: dateLabel;
 };
 
-const showTooltip = ( params, d, position ) => {
-	const keys = params.orderedKeys.filter( row => row.visible ).map(
-		row => `
-				<li class="key-row">
-					<div class="key-container">
-						<span class="key-color" style="background-color:${ getColor( row.key, params ) }"></span>
-						<span class="key-key">${ getTooltipRowLabel( d, row, params ) }</span>
-					</div>
-					<span class="key-value">${ params.tooltipValueFormat( d[ row.key ].value ) }</span>
-				</li>
-			`
-	);
+const getTooltipRowValue = ( d, row, params ) => {
+	const value = getValue( d, row.key, params.missingData );
+	return isNil( value ) ? params.noDataLabel : getKeyValueFormat( row.key, params )( value );
+};
+
+const getTooltipRowChange = ( d, row, params ) => {
+	const previousRow = find( params.orderedKeys, { currentKey: row.key } );
+	if ( ! previousRow || ! previousRow.visible ) {
+		return null;
+	}
+	const value = getValue( d, row.key, params.missingData );
+	const previousValue = getValue( d, previousRow.key, params.missingData );
+	if ( isNil( value ) || isNil( previousValue ) || previousValue === 0 ) {
+		return null;
+	}
+	return percentChangeFormat( ( value - previousValue ) / Math.abs( previousValue ) );
+};
+
+/**
+ * Sorts tooltip rows by value, missing values last
+ * @param {array} rows - the tooltip rows
+ * @param {string} order - `ascending`, `descending` or `none` to keep the order of the rows
+ * @returns {array} the sorted rows
+ */
+export const sortTooltipRows = ( rows, order ) => {
+	if ( ! includes( [ 'ascending', 'descending' ], order ) ) {
+		return rows;
+	}
+	const direction = order === 'ascending' ? 1 : -1;
+	return [ ...rows ].sort( ( a, b ) => {
+		if ( isNil( a.value ) || isNil( b.value ) ) {
+			return isNil( a.value ) - isNil( b.value );
+		}
+		return direction * ( a.value - b.value );
+	} );
+};
 
-	const tooltipTitle = params.tooltipTitle
-		? params.tooltipTitle
-		: params.tooltipLabelFormat( d.date instanceof Date ? d.date : new Date( d.date ) );
+const sumTooltipRows = rows => rows.reduce( ( total, row ) => total + ( row.value || 0 ), 0 );
 
+/**
+ * Describes `getTooltipData`
+ * @param {object} d - an item of the chart data.
+ * @param {object} params - the chart params
+ * @param {string} highlightKey - the category under the cursor
+ * @returns {object} the `date`, the `title` and the `rows` of the tooltip, one per visible category with its `key`,
+ * `label`, `color`, `value`, `formattedValue`, the percent `change` from the previous period and whether it is
+ * `highlighted`. Rows beyond `tooltipMaxRows` are summed up as `other`, and `total` sums up the current period.
+ * The categories of `y2Keys` are always listed and left out of both sums.
+ */
+export const getTooltipData = ( d, params, highlightKey = null ) => {
+	const allRows = params.orderedKeys
+		.filter( row => row.visible )
+		.map( row => ( {
+			key: row.key,
+			label: getTooltipRowLabel( d, row, params ),
+			color: getColor( row.key, params ),
+			value: getValue( d, row.key, params.missingData ),
+			formattedValue: getTooltipRowValue( d, row, params ),
+			change: getTooltipRowChange( d, row, params ),
+			highlighted: row.key === highlightKey,
+		} ) );
+	// The categories of the secondary y-axis are in another unit, so they are not summed up with the others.
+	const yRows = allRows.filter( row => ! isY2Key( row.key, params ) );
+	const topKeys = params.tooltipMaxRows
+		? sortTooltipRows( yRows, 'descending' )
+				.slice( 0, params.tooltipMaxRows )
+				.map( row => row.key )
+		: yRows.map( row => row.key );
+	const otherRows = yRows.filter( row => ! includes( topKeys, row.key ) );
+	const otherValue = sumTooltipRows( otherRows );
+	const totalValue = sumTooltipRows( yRows.filter( row => ! isPreviousKey( row.key, params ) ) );
+	return {
+		date: d.date,
+		title: params.tooltipTitle
+			? params.tooltipTitle
+			: params.tooltipLabelFormat( params.parseDate( d.date ) ),
+		rows: sortTooltipRows(
+			allRows.filter( row => ! includes( otherRows, row ) ),
+			params.tooltipSort
+		),
+		other: otherRows.length
+			? {
+					label: params.tooltipOtherLabel,
+					value: otherValue,
+					formattedValue: params.tooltipValueFormat( otherValue ),
+					highlighted: otherRows.some( row => row.highlighted ),
+			  }
+			: null,
+		total: params.tooltipTotalLabel
+			? {
+					label: params.tooltipTotalLabel,
+					value: totalValue,
+					formattedValue: params.tooltipValueFormat( totalValue ),
+			  }
+			: null,
+	};
+};
+
+const showTooltip = ( params, d, position, highlightKey ) => {
 	params.tooltip
 		.style( 'left', position.x + 'px' )
 		.style( 'top', position.y + 'px' )
-		.style( 'visibility', 'visible' ).html( `
-			<div>
-				<h4>${ tooltipTitle }</h4>
-				<ul>
-				${ keys.join( '' ) }
-				</ul>
-			</div>
-		` );
+		.style( 'visibility', 'visible' );
+	params.updateTooltip( getTooltipData( d, params, highlightKey ) );
 };
 
-const handleMouseOverBarChart = ( date, parentNode, node, data, params, position ) => {
+const highlightTooltipRow = ( date, data, params, highlightKey ) =>
+	params.updateTooltip( getTooltipData( find( data, { date } ), params, highlightKey ) );
+
+/**
+ * Describes `getHoveredValues`
+ * @param {object} d - an item of the chart data.
+ * @param {object} params - the chart params
+ * @returns {object} the value of each category at the date of the item, by key
+ */
+export const getHoveredValues = ( d, params ) =>
+	params.orderedKeys.reduce(
+		( values, row ) => ( { ...values, [ row.key ]: getValue( d, row.key, params.missingData ) } ),
+		{}
+	);
+
+const handleHoverDate = ( d, params ) =>
+	params.onHoverDate &&
+	params.onHoverDate( d ? d.date : null, d ? getHoveredValues( d, params ) : null );
+
+const handleMouseOverBarChart = (
+	date,
+	parentNode,
+	node,
+	data,
+	params,
+	position,
+	highlightKey
+) => {
 	d3Select( parentNode )
 		.select( '.barfocus' )
 		.attr( 'opacity', '0.1' );
-	showTooltip( params, data.find( e => e.date === date ), position );
+	const d = data.find( e => e.date === date );
+	showTooltip( params, d, position, highlightKey );
+	handleHoverDate( d, params );
 };
 
 const handleMouseOutBarChart = ( parentNode, params ) => {
@@ -519,13 +1329,24 @@ const handleMouseOutBarChart = ( parentNode, params ) => {
 		.select( '.barfocus' )
 		.attr( 'opacity', '0' );
 	params.tooltip.style( 'visibility', 'hidden' );
+	handleHoverDate( null, params );
 };
 
-const handleMouseOverLineChart = ( date, parentNode, node, data, params, position ) => {
+const handleMouseOverLineChart = (
+	date,
+	parentNode,
+	node,
+	data,
+	params,
+	position,
+	highlightKey
+) => {
 	d3Select( parentNode )
 		.select( '.focus-grid' )
 		.attr( 'opacity', '1' );
-	showTooltip( params, data.find( e => e.date === date ), position );
+	const d = data.find( e => e.date === date );
+	showTooltip( params, d, position, highlightKey );
+	handleHoverDate( d, params );
 };
 
 const handleMouseOutLineChart = ( parentNode, params ) => {
@@ -533,8 +1354,12 @@ const handleMouseOutLineChart = ( parentNode, params ) => {
 		.select( '.focus-grid' )
 		.attr( 'opacity', '0' );
 	params.tooltip.style( 'visibility', 'hidden' );
+	handleHoverDate( null, params );
 };
 
+const getFocusWidthRatio = ( i, params ) =>
+	i === 0 || i === params.dateSpaces.length - 1 ? 0 : 0.5;
+
 const calculateTooltipXPosition = (
 	elementCoords,
 	chartCoords,
@@ -589,12 +1414,11 @@ const calculateTooltipYPosition = (
 	return yPosition;
 };
 
-const calculateTooltipPosition = ( element, chart, tooltipPosition, elementWidthRatio = 1 ) => {
+const calculateTooltipPosition = ( element, chart, params, elementWidthRatio = 1 ) => {
+	const { tooltip, tooltipPosition } = params;
 	const elementCoords = element.getBoundingClientRect();
 	const chartCoords = chart.getBoundingClientRect();
-	const tooltipSize = d3Select( '.d3-chart__tooltip' )
-		.node()
-		.getBoundingClientRect();
+	const tooltipSize = tooltip.node().getBoundingClientRect();
 	const tooltipMargin = 24;
 
 	if ( tooltipPosition === 'below' ) {
@@ -620,203 +1444,618 @@ const calculateTooltipPosition = ( element, chart, tooltipPosition, elementWidth
 	};
 };
 
+const getLineDataValue = ( key, date, params ) => {
+	const row = find( params.lineData, { key } );
+	return ( row && find( row.values, { date } ) ) || {};
+};
+
+const getPlottedValues = ( values, params ) =>
+	params.missingData === 'interpolate' ? values.filter( d => ! isNil( d.value ) ) : values;
+
+const getDateValues = ( d, params ) =>
+	d.values
+		.map( row => ( { ...getLineDataValue( row.key, row.date, params ), key: row.key } ) )
+		.filter( row => ! isNil( row.value ) );
+
+const isActivationKey = event => includes( [ 'Enter', ' ' ], event.key );
+
+const handleDateClick = ( date, params ) =>
+	params.onDateClick &&
+	params.onDateClick( {
+		key: null,
+		date,
+		value: null,
+		label: params.tooltipLabelFormat( params.parseDate( date ) ),
+	} );
+
+const handleValueClick = ( d, params, onClick ) =>
+	onClick
+		? onClick( { key: d.key, date: d.date, value: d.value, label: d.label } )
+		: handleDateClick( d.date, params );
+
+// The second click of a double-click, which resets the zoom, is not handled again.
+const isRepeatedClick = () => d3Event.detail > 1;
+
+const hasClickHandler = params =>
+	Boolean( params.onBarClick || params.onDateClick || params.onPointClick );
+
+const getClosestNode = ( row, keyIndex ) => {
+	let closest = null;
+	row.forEach( ( rowNode, i ) => {
+		if (
+			rowNode &&
+			( closest === null || Math.abs( i - keyIndex ) < Math.abs( closest - keyIndex ) )
+		) {
+			closest = i;
+		}
+	} );
+	return closest === null ? null : row[ closest ];
+};
+
+const getNextDateNode = ( grid, dateIndex, keyIndex, step ) => {
+	for ( let i = dateIndex + step; i >= 0 && i < grid.length; i += step ) {
+		const next = getClosestNode( grid[ i ], keyIndex );
+		if ( next ) {
+			return next;
+		}
+	}
+	return null;
+};
+
+const getNextKeyNode = ( row, keyIndex, step ) => {
+	for ( let i = keyIndex + step; i >= 0 && i < row.length; i += step ) {
+		if ( row[ i ] ) {
+			return row[ i ];
+		}
+	}
+	return null;
+};
+
+/**
+ * Makes the points or bars of a chart a single tab stop, the arrow keys moving the focus between them: left and right
+ * between dates, up and down between the categories in the order of the legend, home and end to the first and last date
+ * @param {object} targets - the selection of focusable elements, each bound to its `date` and `key`
+ * @param {object} params - the chart params
+ */
+const setRovingFocus = ( targets, params ) => {
+	const keys = params.orderedKeys.filter( row => row.visible ).map( row => row.key );
+	const grid = params.uniqueDates.map( () => keys.map( () => null ) );
+	const positions = new Map();
+	targets.each( ( d, i, nodes ) => {
+		const dateIndex = params.uniqueDates.indexOf( d.date );
+		const keyIndex = keys.indexOf( d.key );
+		if ( dateIndex !== -1 && keyIndex !== -1 ) {
+			grid[ dateIndex ][ keyIndex ] = nodes[ i ];
+			positions.set( nodes[ i ], [ dateIndex, keyIndex ] );
+		}
+	} );
+	// The tab stop is kept on the same element across redraws.
+	const current = find(
+		targets.nodes(),
+		targetNode => targetNode.getAttribute( 'tabindex' ) === '0' && positions.has( targetNode )
+	);
+	const first = current || getNextDateNode( grid, -1, 0, 1 );
+
+	targets
+		.attr( 'tabindex', ( d, i, nodes ) => ( nodes[ i ] === first ? '0' : '-1' ) )
+		.on( 'focus.roving', ( d, i, nodes ) => {
+			targets.attr( 'tabindex', '-1' );
+			d3Select( nodes[ i ] ).attr( 'tabindex', '0' );
+		} )
+		.on( 'keydown.roving', ( d, i, nodes ) => {
+			const position = positions.get( nodes[ i ] );
+			if ( ! position ) {
+				return;
+			}
+			const [ dateIndex, keyIndex ] = position;
+			const next = {
+				ArrowLeft: () => getNextDateNode( grid, dateIndex, keyIndex, -1 ),
+				ArrowRight: () => getNextDateNode( grid, dateIndex, keyIndex, 1 ),
+				ArrowUp: () => getNextKeyNode( grid[ dateIndex ], keyIndex, -1 ),
+				ArrowDown: () => getNextKeyNode( grid[ dateIndex ], keyIndex, 1 ),
+				Home: () => getNextDateNode( grid, -1, keyIndex, 1 ),
+				End: () => getNextDateNode( grid, grid.length, keyIndex, -1 ),
+			}[ d3Event.key ];
+			if ( ! next ) {
+				return;
+			}
+			d3Event.preventDefault();
+			const nextNode = next();
+			nextNode && nextNode.focus();
+		} );
+};
+
 export const drawLines = ( node, data, params ) => {
-	const series = node
-		.append( 'g' )
-		.attr( 'class', 'lines' )
-		.selectAll( '.line-g' )
-		.data( params.lineData.filter( d => d.visible ).reverse() )
+	fadeOut( node.selectAll( '.bars:not(.is-exiting)' ), params );
+	const series = selectOrAppend( node, 'g', 'lines' )
+		.selectAll( '.line-g:not(.is-exiting)' )
+		.data( params.lineData.filter( d => d.visible ).reverse(), d => d.key );
+	fadeOut( series.exit(), params );
+	const seriesMerge = series
 		.enter()
 		.append( 'g' )
 		.attr( 'class', 'line-g' )
 		.attr( 'role', 'region' )
+		.merge( series )
+		.order()
 		.attr( 'aria-label', d => d.key );
 
 	let lineStroke = params.width <= wideBreak || params.uniqueDates.length > 50 ? 2 : 3;
 	lineStroke = params.width <= smallBreak ? 1.25 : lineStroke;
 	const dotRadius = params.width <= wideBreak ? 4 : 6;
+	// The focus rects cover the circles, so the point under the mouse is the one closest to it.
+	const getPointAtMouse = ( d, focusNode ) => {
+		const mouseY = d3Mouse( focusNode )[ 1 ];
+		return find(
+			getDateValues( d, params ),
+			row =>
+				row.visible &&
+				Math.abs( getKeyYScale( row.key, params )( get( row, 'y1', row.value ) ) - mouseY ) <=
+					dotRadius + 2
+		);
+	};
+	let hoveredKey = null;
+
+	const getAreaPath = d =>
+		( isY2Key( d.key, params ) ? params.y2Area : params.area )(
+			getPlottedValues( d.values, params )
+		);
+	const area = seriesMerge
+		.selectAll( '.area:not(.is-exiting)' )
+		.data( d => ( params.type !== 'line' ? [ d ] : [] ) );
+	fadeOut( area.exit(), params );
+	getTransition(
+		area
+			.enter()
+			.insert( 'path', '.line' )
+			.attr( 'class', 'area' )
+			.attr( 'stroke', 'none' )
+			.attr( 'd', getAreaPath )
+			.style( 'opacity', 0 )
+			.merge( area ),
+		params
+	)
+		.attr( 'fill', d => getColor( d.key, params ) )
+		.attr( 'fill-opacity', isStackedType( params.type ) ? 0.8 : 0.2 )
+		.style( 'opacity', d => getOpacity( d, params ) )
+		.attr( 'd', getAreaPath );
 
-	series
-		.append( 'path' )
-		.attr( 'fill', 'none' )
+	const getLinePath = d =>
+		( isY2Key( d.key, params ) ? params.y2Line : params.line )(
+			getPlottedValues( d.values, params )
+		);
+	const line = seriesMerge.selectAll( '.line' ).data( d => [ d ] );
+	getTransition(
+		line
+			.enter()
+			.append( 'path' )
+			.attr( 'class', 'line' )
+			.attr( 'fill', 'none' )
+			.attr( 'stroke-linejoin', 'round' )
+			.attr( 'stroke-linecap', 'round' )
+			.attr( 'd', getLinePath )
+			.style( 'opacity', 0 )
+			.merge( line ),
+		params
+	)
 		.attr( 'stroke-width', lineStroke )
-		.attr( 'stroke-linejoin', 'round' )
-		.attr( 'stroke-linecap', 'round' )
 		.attr( 'stroke', d => getColor( d.key, params ) )
-		.style( 'opacity', d => {
-			const opacity = d.focus ? 1 : 0.1;
-			return d.visible ? opacity : 0;
-		} )
-		.attr( 'd', d => params.line( d.values ) );
+		.attr( 'stroke-dasharray', d => ( isPreviousKey( d.key, params ) ? '6 4' : null ) )
+		.style( 'opacity', d => getOpacity( d, params ) )
+		.attr( 'd', getLinePath );
 
 	const minDataPointSpacing = 36;
+	const showPoints = params.width / params.uniqueDates.length > minDataPointSpacing;
+	const getPointX = d => params.xLineScale( params.parseDate( d.date ) );
+	const getPointY = d => getKeyYScale( d.key, params )( get( d, 'y1', d.value ) );
+
+	// Points too close together are hidden but still focusable, the focus grid shows the focused one.
+	const points = seriesMerge.selectAll( 'circle:not(.is-exiting)' ).data(
+		( d, i ) =>
+			d.values
+				.filter( row => ! isNil( row.value ) )
+				.map( row => ( { ...row, i, visible: d.visible, key: d.key } ) ),
+		d => d.date
+	);
+	fadeOut( points.exit(), params );
+	const pointsMerge = points
+		.enter()
+		.append( 'circle' )
+		.attr( 'stroke', '#fff' )
+		.attr( 'cx', getPointX )
+		.attr( 'cy', getPointY )
+		.style( 'opacity', 0 )
+		.merge( points )
+		.attr( 'aria-label', d => {
+			const label = d.label
+				? d.label
+				: params.tooltipLabelFormat( params.parseDate( d.date ) );
+			return `${ label } ${ getKeyValueFormat( d.key, params )( d.value ) }`;
+		} )
+		.on( 'focus', d => {
+			const position = calculateTooltipPosition( d3Event.target, node.node(), params );
+			handleMouseOverLineChart(
+				d.date,
+				getFocusNode( d.date ),
+				node,
+				data,
+				params,
+				position,
+				d.key
+			);
+		} )
+		.on( 'blur', d => handleMouseOutLineChart( getFocusNode( d.date ), params ) )
+		.on( 'keydown', d => {
+			if ( isActivationKey( d3Event ) ) {
+				d3Event.preventDefault();
+				handleValueClick( d, params, params.onPointClick );
+			}
+		} )
+		.call( setRovingFocus, params );
+	getTransition( pointsMerge, params )
+		.attr( 'r', dotRadius )
+		.attr( 'fill', d => getColor( d.key, params ) )
+		.attr( 'stroke-width', lineStroke + 1 )
+		.style( 'opacity', d => ( showPoints ? getOpacity( d, params ) : 0 ) )
+		.attr( 'cx', getPointX )
+		.attr( 'cy', getPointY );
 
-	params.width / params.uniqueDates.length > minDataPointSpacing &&
-		series
-			.selectAll( 'circle' )
-			.data( ( d, i ) => d.values.map( row => ( { ...row, i, visible: d.visible, key: d.key } ) ) )
-			.enter()
-			.append( 'circle' )
-			.attr( 'r', dotRadius )
-			.attr( 'fill', d => getColor( d.key, params ) )
-			.attr( 'stroke', '#fff' )
-			.attr( 'stroke-width', lineStroke + 1 )
-			.style( 'opacity', d => {
-				const opacity = d.focus ? 1 : 0.1;
-				return d.visible ? opacity : 0;
-			} )
-			.attr( 'cx', d => params.xLineScale( new Date( d.date ) ) )
-			.attr( 'cy', d => params.yScale( d.value ) )
-			.attr( 'tabindex', '0' )
-			.attr( 'aria-label', d => {
-				const label = d.label
-					? d.label
-					: params.tooltipLabelFormat( d.date instanceof Date ? d.date : new Date( d.date ) );
-				return `${ label } ${ params.tooltipValueFormat( d.value ) }`;
-			} )
-			.on( 'focus', ( d, i, nodes ) => {
-				const position = calculateTooltipPosition(
-					d3Event.target,
-					node.node(),
-					params.tooltipPosition
-				);
-				handleMouseOverLineChart( d.date, nodes[ i ].parentNode, node, data, params, position );
-			} )
-			.on( 'blur', ( d, i, nodes ) => handleMouseOutLineChart( nodes[ i ].parentNode, params ) );
-
-	const focus = node
-		.append( 'g' )
-		.attr( 'class', 'focusspaces' )
+	// The focus spaces are invisible until hovered, so they are updated without transitions.
+	const focus = selectOrAppend( node, 'g', 'focusspaces' )
 		.selectAll( '.focus' )
-		.data( params.dateSpaces )
+		.data( params.dateSpaces, d => d.date );
+	focus.exit().remove();
+	const focusEnter = focus
 		.enter()
 		.append( 'g' )
 		.attr( 'class', 'focus' );
-
-	const focusGrid = focus
+	focusEnter
 		.append( 'g' )
 		.attr( 'class', 'focus-grid' )
-		.attr( 'opacity', '0' );
+		.attr( 'opacity', '0' )
+		.append( 'line' );
+	focusEnter
+		.append( 'rect' )
+		.attr( 'class', 'focus-g' )
+		.attr( 'opacity', 0 );
+	const focusMerge = focusEnter.merge( focus ).order();
+	// The focus grid of a date also follows the keyboard focus of its points.
+	const getFocusNode = date =>
+		find( focusMerge.nodes(), focusNode => d3Select( focusNode ).datum().date === date );
+
+	const focusGrid = focusMerge.select( '.focus-grid' );
 
 	focusGrid
-		.append( 'line' )
-		.attr( 'x1', d => params.xLineScale( new Date( d.date ) ) )
+		.select( 'line' )
+		.attr( 'x1', getPointX )
 		.attr( 'y1', 0 )
-		.attr( 'x2', d => params.xLineScale( new Date( d.date ) ) )
+		.attr( 'x2', getPointX )
 		.attr( 'y2', params.height );
 
-	focusGrid
-		.selectAll( 'circle' )
-		.data( d => d.values.reverse() )
+	const focusPoints = focusGrid.selectAll( 'circle' ).data(
+		d => getDateValues( d, params ).reverse(),
+		d => d.key
+	);
+	focusPoints.exit().remove();
+	focusPoints
 		.enter()
 		.append( 'circle' )
+		.attr( 'stroke', '#fff' )
+		.merge( focusPoints )
+		.order()
 		.attr( 'r', dotRadius + 2 )
 		.attr( 'fill', d => getColor( d.key, params ) )
-		.attr( 'stroke', '#fff' )
 		.attr( 'stroke-width', lineStroke + 2 )
-		.attr( 'cx', d => params.xLineScale( new Date( d.date ) ) )
-		.attr( 'cy', d => params.yScale( d.value ) );
+		.attr( 'cx', getPointX )
+		.attr( 'cy', getPointY );
 
-	focus
-		.append( 'rect' )
-		.attr( 'class', 'focus-g' )
+	focusMerge
+		.select( '.focus-g' )
 		.attr( 'x', d => d.start )
 		.attr( 'y', 0 )
 		.attr( 'width', d => d.width )
 		.attr( 'height', params.height )
-		.attr( 'opacity', 0 )
+		.style( 'cursor', hasClickHandler( params ) ? 'pointer' : null )
 		.on( 'mouseover', ( d, i, nodes ) => {
-			const elementWidthRatio = i === 0 || i === params.dateSpaces.length - 1 ? 0 : 0.5;
 			const position = calculateTooltipPosition(
 				d3Event.target,
 				node.node(),
-				params.tooltipPosition,
-				elementWidthRatio
+				params,
+				getFocusWidthRatio( i, params )
 			);
-			handleMouseOverLineChart( d.date, nodes[ i ].parentNode, node, data, params, position );
+			hoveredKey = get( getPointAtMouse( d, nodes[ i ] ), 'key', null );
+			handleMouseOverLineChart(
+				d.date,
+				nodes[ i ].parentNode,
+				node,
+				data,
+				params,
+				position,
+				hoveredKey
+			);
+		} )
+		.on( 'mousemove', ( d, i, nodes ) => {
+			const key = get( getPointAtMouse( d, nodes[ i ] ), 'key', null );
+			if ( key !== hoveredKey ) {
+				hoveredKey = key;
+				highlightTooltipRow( d.date, data, params, key );
+			}
 		} )
-		.on( 'mouseout', ( d, i, nodes ) => handleMouseOutLineChart( nodes[ i ].parentNode, params ) );
+		.on( 'mouseout', ( d, i, nodes ) => handleMouseOutLineChart( nodes[ i ].parentNode, params ) )
+		.on( 'click', ( d, i, nodes ) => {
+			if ( isRepeatedClick() ) {
+				return;
+			}
+			const point = getPointAtMouse( d, nodes[ i ] );
+			point
+				? handleValueClick( point, params, params.onPointClick )
+				: handleDateClick( d.date, params );
+		} );
+};
+
+// The bounds are kept within the domain, so bars of a domain without zero start from its nearest bound.
+const getBarBounds = ( d, isStacked, yScale ) => {
+	const [ yMin, yMax ] = yScale.domain();
+	return ( isStacked ? [ d.y0, d.y1 ] : [ 0, d.value ] ).map( y => clamp( y, yMin, yMax ) );
+};
+
+// The mouse rects cover the bars, so the bar under the mouse is found from their bounds.
+const getBarAtMouse = mouseNode => {
+	const [ mouseX, mouseY ] = d3Mouse( mouseNode );
+	const bar = find(
+		d3Select( mouseNode.parentNode )
+			.selectAll( '.bar:not(.is-exiting)' )
+			.nodes(),
+		barNode => {
+			const x = Number( barNode.getAttribute( 'x' ) );
+			const y = Number( barNode.getAttribute( 'y' ) );
+			return (
+				mouseX >= x &&
+				mouseX <= x + Number( barNode.getAttribute( 'width' ) ) &&
+				mouseY >= y &&
+				mouseY <= y + Number( barNode.getAttribute( 'height' ) )
+			);
+		}
+	);
+	return bar && d3Select( bar ).datum();
 };
 
 export const drawBars = ( node, data, params ) => {
-	const barGroup = node
-		.append( 'g' )
-		.attr( 'class', 'bars' )
-		.selectAll( 'g' )
-		.data( data )
+	fadeOut( node.selectAll( '.lines:not(.is-exiting), .focusspaces:not(.is-exiting)' ), params );
+	const isStacked = isStackedType( params.type );
+	const barWidth = isStacked ? params.xScale.bandwidth() : params.xGroupScale.bandwidth();
+	let hoveredKey = null;
+	const barGroup = selectOrAppend( node, 'g', 'bars' )
+		.selectAll( '.bargroup:not(.is-exiting)' )
+		.data( data, d => d.date );
+	fadeOut( barGroup.exit(), params );
+	const barGroupEnter = barGroup
 		.enter()
 		.append( 'g' )
 		.attr( 'transform', d => `translate(${ params.xScale( d.date ) },0)` )
 		.attr( 'class', 'bargroup' )
-		.attr( 'role', 'region' )
+		.attr( 'role', 'region' );
+	barGroupEnter
+		.append( 'rect' )
+		.attr( 'class', 'barfocus' )
+		.attr( 'opacity', '0' );
+	barGroupEnter
+		.append( 'rect' )
+		.attr( 'class', 'barmouse' )
+		.attr( 'opacity', '0' );
+	const barGroupMerge = barGroupEnter
+		.merge( barGroup )
+		.order()
 		.attr(
 			'aria-label',
 			d =>
 				params.mode === 'item-comparison'
-					? params.tooltipLabelFormat( d.date instanceof Date ? d.date : new Date( d.date ) )
+					? params.tooltipLabelFormat( params.parseDate( d.date ) )
 					: null
 		);
+	getTransition( barGroupMerge, params ).attr(
+		'transform',
+		d => `translate(${ params.xScale( d.date ) },0)`
+	);
 
-	barGroup
-		.append( 'rect' )
-		.attr( 'class', 'barfocus' )
+	barGroupMerge
+		.select( '.barfocus' )
 		.attr( 'x', 0 )
 		.attr( 'y', 0 )
 		.attr( 'width', params.xGroupScale.range()[ 1 ] )
-		.attr( 'height', params.height )
-		.attr( 'opacity', '0' );
+		.attr( 'height', params.height );
 
-	barGroup
-		.selectAll( '.bar' )
-		.data( d =>
-			params.orderedKeys.filter( row => row.visible ).map( row => ( {
-				key: row.key,
-				focus: row.focus,
-				value: get( d, [ row.key, 'value' ], 0 ),
-				label: get( d, [ row.key, 'label' ], '' ),
-				visible: row.visible,
-				date: d.date,
-			} ) )
-		)
+	const getBarX = d => ( isStacked ? 0 : params.xGroupScale( d.key ) );
+	const getBarY = d => {
+		const yScale = getKeyYScale( d.key, params );
+		return yScale( Math.max( ...getBarBounds( d, isStacked, yScale ) ) );
+	};
+	const getBarHeight = d => {
+		const yScale = getKeyYScale( d.key, params );
+		const [ y0, y1 ] = getBarBounds( d, isStacked, yScale );
+		return Math.abs( yScale( y0 ) - yScale( y1 ) );
+	};
+	const bars = barGroupMerge.selectAll( '.bar:not(.is-exiting)' ).data(
+		d =>
+			params.orderedKeys
+				.filter( row => row.visible )
+				.map( row => ( { ...getLineDataValue( row.key, d.date, params ), key: row.key } ) )
+				.filter( row => ! isNil( row.value ) ),
+		d => d.key
+	);
+	fadeOut( bars.exit(), params );
+	const barsMerge = bars
 		.enter()
-		.append( 'rect' )
+		.insert( 'rect', '.barmouse' )
 		.attr( 'class', 'bar' )
-		.attr( 'x', d => params.xGroupScale( d.key ) )
-		.attr( 'y', d => params.yScale( d.value ) )
-		.attr( 'width', params.xGroupScale.bandwidth() )
-		.attr( 'height', d => params.height - params.yScale( d.value ) )
-		.attr( 'fill', d => getColor( d.key, params ) )
-		.attr( 'tabindex', '0' )
+		.attr( 'x', getBarX )
+		.attr( 'y', getBarY )
+		.attr( 'width', barWidth )
+		.attr( 'height', getBarHeight )
+		.style( 'opacity', 0 )
+		.merge( bars )
 		.attr( 'aria-label', d => {
 			const label = params.mode === 'time-comparison' && d.label ? d.label : d.key;
-			return `${ label } ${ params.tooltipValueFormat( d.value ) }`;
-		} )
-		.style( 'opacity', d => {
-			const opacity = d.focus ? 1 : 0.1;
-			return d.visible ? opacity : 0;
+			return `${ label } ${ getKeyValueFormat( d.key, params )( d.value ) }`;
 		} )
 		.on( 'focus', ( d, i, nodes ) => {
-			const targetNode = d.value > 0 ? d3Event.target : d3Event.target.parentNode;
-			const position = calculateTooltipPosition( targetNode, node.node(), params.tooltipPosition );
-			handleMouseOverBarChart( d.date, nodes[ i ].parentNode, node, data, params, position );
+			const targetNode = d.value !== 0 ? d3Event.target : d3Event.target.parentNode;
+			const position = calculateTooltipPosition( targetNode, node.node(), params );
+			handleMouseOverBarChart( d.date, nodes[ i ].parentNode, node, data, params, position, d.key );
+		} )
+		.on( 'blur', ( d, i, nodes ) => handleMouseOutBarChart( nodes[ i ].parentNode, params ) )
+		.on( 'keydown', d => {
+			if ( isActivationKey( d3Event ) ) {
+				d3Event.preventDefault();
+				handleValueClick( d, params, params.onBarClick );
+			}
 		} )
-		.on( 'blur', ( d, i, nodes ) => handleMouseOutBarChart( nodes[ i ].parentNode, params ) );
+		.call( setRovingFocus, params );
+	getTransition( barsMerge, params )
+		.attr( 'x', getBarX )
+		.attr( 'y', getBarY )
+		.attr( 'width', barWidth )
+		.attr( 'height', getBarHeight )
+		.attr( 'fill', d => getColor( d.key, params ) )
+		.style( 'opacity', d => getOpacity( d, params ) );
 
-	barGroup
-		.append( 'rect' )
-		.attr( 'class', 'barmouse' )
+	barGroupMerge
+		.select( '.barmouse' )
 		.attr( 'x', 0 )
 		.attr( 'y', 0 )
 		.attr( 'width', params.xGroupScale.range()[ 1 ] )
 		.attr( 'height', params.height )
-		.attr( 'opacity', '0' )
+		.style( 'cursor', hasClickHandler( params ) ? 'pointer' : null )
 		.on( 'mouseover', ( d, i, nodes ) => {
-			const position = calculateTooltipPosition(
-				d3Event.target,
-				node.node(),
-				params.tooltipPosition
+			const position = calculateTooltipPosition( d3Event.target, node.node(), params );
+			hoveredKey = get( getBarAtMouse( nodes[ i ] ), 'key', null );
+			handleMouseOverBarChart(
+				d.date,
+				nodes[ i ].parentNode,
+				node,
+				data,
+				params,
+				position,
+				hoveredKey
 			);
-			handleMouseOverBarChart( d.date, nodes[ i ].parentNode, node, data, params, position );
 		} )
-		.on( 'mouseout', ( d, i, nodes ) => handleMouseOutBarChart( nodes[ i ].parentNode, params ) );
+		.on( 'mousemove', ( d, i, nodes ) => {
+			const key = get( getBarAtMouse( nodes[ i ] ), 'key', null );
+			if ( key !== hoveredKey ) {
+				hoveredKey = key;
+				highlightTooltipRow( d.date, data, params, key );
+			}
+		} )
+		.on( 'mouseout', ( d, i, nodes ) => handleMouseOutBarChart( nodes[ i ].parentNode, params ) )
+		.on( 'click', ( d, i, nodes ) => {
+			if ( isRepeatedClick() ) {
+				return;
+			}
+			const bar = getBarAtMouse( nodes[ i ] );
+			bar ? handleValueClick( bar, params, params.onBarClick ) : handleDateClick( d.date, params );
+		} );
+};
+
+const isSameDate = ( a, b, params ) =>
+	params.xType === 'band'
+		? a === b
+		: Number( params.parseDate( a ) ) === Number( params.parseDate( b ) );
+
+/**
+ * Shows the focus and tooltip of a date hovered in another chart, or hides them
+ * @param {object} node - the chart's `g` selection, drawn with `drawLines` or `drawBars`
+ * @param {array} data - the chart data drawn with `drawLines` or `drawBars`
+ * @param {object} params - the chart params
+ * @param {string} date - the hovered date, or `null` when no date is hovered
+ */
+export const showHoveredDate = ( node, data, params, date ) => {
+	const isLine = isLineType( params.type );
+	node.selectAll( isLine ? '.focus-grid' : '.barfocus' ).attr( 'opacity', '0' );
+	params.tooltip.style( 'visibility', 'hidden' );
+	if ( isNil( date ) ) {
+		return;
+	}
+	const targets = node
+		.selectAll( isLine ? '.focus-g' : '.bargroup:not(.is-exiting) .barmouse' )
+		.nodes();
+	const i = findIndex( targets, target =>
+		isSameDate( d3Select( target ).datum().date, date, params )
+	);
+	if ( i === -1 ) {
+		return;
+	}
+	const target = d3Select( targets[ i ] );
+	d3Select( targets[ i ].parentNode )
+		.select( isLine ? '.focus-grid' : '.barfocus' )
+		.attr( 'opacity', isLine ? '1' : '0.1' );
+	const position = calculateTooltipPosition(
+		targets[ i ],
+		node.node(),
+		params,
+		isLine ? getFocusWidthRatio( i, params ) : 1
+	);
+	showTooltip( params, find( data, { date: target.datum().date } ), position );
+};
+
+const getDatePosition = ( date, params ) =>
+	isLineType( params.type )
+		? params.xLineScale( params.parseDate( date ) )
+		: params.xScale( date ) + params.xScale.bandwidth() / 2;
+
+/**
+ * Lets a range of dates be dragged across the plot to zoom into it, double-clicking resets the zoom
+ * @param {object} node - the chart's `g` selection, drawn with `drawLines` or `drawBars`
+ * @param {object} params - the chart params, with the `onZoom` and `onZoomReset` handlers
+ */
+export const drawBrush = ( node, params ) => {
+	const selection = selectOrAppend( node, 'rect', 'brush-selection' )
+		.raise()
+		.attr( 'y', 0 )
+		.attr( 'width', 0 )
+		.attr( 'height', params.height )
+		.attr( 'pointer-events', 'none' )
+		.attr( 'visibility', 'hidden' );
+	const getMouseX = () => Math.max( 0, Math.min( params.width, d3Mouse( node.node() )[ 0 ] ) );
+
+	node
+		.selectAll( '.focus-g, .barmouse' )
+		.style( 'cursor', 'crosshair' )
+		.on( 'mousedown.brush', () => {
+			d3Event.preventDefault();
+			const startX = getMouseX();
+			const getRange = () => [ Math.min( startX, getMouseX() ), Math.max( startX, getMouseX() ) ];
+			selection
+				.attr( 'x', startX )
+				.attr( 'width', 0 )
+				.attr( 'visibility', 'visible' );
+			d3Select( window )
+				.on( 'mousemove.brush', () => {
+					const [ x0, x1 ] = getRange();
+					selection.attr( 'x', x0 ).attr( 'width', x1 - x0 );
+				} )
+				.on( 'mouseup.brush', () => {
+					const [ x0, x1 ] = getRange();
+					d3Select( window ).on( 'mousemove.brush mouseup.brush', null );
+					selection.attr( 'visibility', 'hidden' );
+					const dates = params.uniqueDates.filter( d => {
+						const x = getDatePosition( d, params );
+						return x >= x0 && x <= x1;
+					} );
+					x1 - x0 >= minZoomWidth &&
+						dates.length > 1 &&
+						params.onZoom( dates[ 0 ], dates[ dates.length - 1 ] );
+				} );
+		} )
+		.on( 'dblclick.brush', () => params.onZoomReset() );
+};
+
+/**
+ * Removes the brush of `drawBrush` from a chart that is no longer zoomable or is unmounted, along with the window
+ * listeners of a selection in progress
+ * @param {object} node - the chart's `g` selection
+ */
+export const removeBrush = node => {
+	node.select( '.brush-selection' ).remove();
+	node.selectAll( '.focus-g, .barmouse' ).on( '.brush', null );
+	d3Select( window ).on( 'mousemove.brush mouseup.brush', null );
 };